@@ -1,73 +1,187 @@
 import { globalScope } from './global-scope.js';
-import { DOM_IDS, ROUTES, STORAGE_KEYS } from '../config/constants.js';
+import { StatCounter } from '../components/StatCounter/StatCounter.js';
+import { DOM_IDS } from '../config/constants.js';
 
 /**
  * Navigate to a page with URL updates and history state
- * @param {Event} event - Click event
- * @param {string} page - Page route name
+ * @param {Event|null} event - Click event (null for programmatic navigation)
+ * @param {string} page - Page route location (e.g. 'products/42' or 'cat-fact?lang=en#top')
+ * @param {Object} options - { query, hash } to add to the URL, and the navigation trigger
  */
-export async function navigate(event, page) {
+export async function navigate(event, page, options = {}) {
     try {
-        event.preventDefault(); // Prevent full page reload
-        window.history.pushState({ page }, '', `/${page}`); // Update URL without reloading
-        await loadPageContent(page); // Load content dynamically
+        if (event) {
+            event.preventDefault(); // Prevent full page reload
+        }
+        updateOfflineNavigationCount();
+        await globalScope.routes.navigate(page, options); // Update URL and load content dynamically
     } catch (error) {
         console.error('Navigation error:', error);
         // Show user-friendly error
-        showNavigationError(error);
+        showNavigationError(error, page);
     }
 }
 
 /**
- * Load page content based on the route
- * @param {string} page - Page route name
+ * Navigate to a page, replacing the current history entry
+ * @param {string} page - Page route location
+ * @param {Object} options - { query, hash } to add to the URL
  */
-async function loadPageContent(page) {
+export async function replace(page, options = {}) {
     try {
-        // Update offline navigation count
-        globalScope.count = globalScope.count + 1;
+        updateOfflineNavigationCount();
+        await globalScope.routes.replace(page, options);
+    } catch (error) {
+        console.error('Navigation error:', error);
+        showNavigationError(error, page);
+    }
+}
 
-        const countValue = document.getElementById(DOM_IDS.OFFLINE_NAV_COUNT);
-        if (countValue) {
-            countValue.textContent = globalScope.count; // Use textContent for safety
+/**
+ * Load page content based on the route
+ * @param {string} page - Page route location, matched against the registered route patterns
+ * @param {Object} options - { trigger: 'popstate' | 'load' }
+ */
+async function loadPageContent(page, options = {}) {
+    try {
+        // The initial load is not an in-app navigation
+        if (options.trigger !== 'load') {
+            updateOfflineNavigationCount();
         }
 
         // Update page content using enhanced routes
-        await globalScope.routes.updatePageContent(page);
+        await globalScope.routes.updatePageContent(page, options);
     } catch (error) {
         console.error('Error loading page content:', error);
-        throw error; // Re-throw to be caught by navigate
+        throw error; // Re-throw to be caught by the caller
     }
 }
 
 /**
- * Show navigation error to user
+ * Update offline navigation count (the counter re-renders from the store)
+ */
+function updateOfflineNavigationCount() {
+    globalScope.store.actions.navigation.navigated();
+}
+
+/**
+ * Show navigation error to user, using the router's error boundary page
  * @param {Error} error - Error object
+ * @param {string} page - Page route location that failed
  */
-function showNavigationError(error) {
+function showNavigationError(error, page) {
     const contentDiv = document.getElementById(DOM_IDS.CONTENT);
     if (contentDiv) {
-        contentDiv.innerHTML = `
-            <div class="error-container" role="alert">
-                <h1>Navigation Error</h1>
-                <p>Failed to load the page. Please try again.</p>
-                <button onclick="location.reload()" class="btn">Reload Page</button>
-                <button onclick="window.history.back()" class="btn btn-secondary">Go Back</button>
-            </div>
-        `;
+        globalScope.routes.renderError(contentDiv, error, page);
+    }
+}
+
+/**
+ * Intercept clicks on same-origin links and route them client-side
+ * Links are left to the browser when a modifier key is held, when they open in
+ * another browsing context or download a file, or when marked with data-external.
+ * @param {MouseEvent} event - Click event
+ */
+function handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+    }
+
+    const link = event.target.closest('a[href]');
+    if (!link || link.hasAttribute('download') || link.hasAttribute('data-external')) {
+        return;
+    }
+
+    const target = link.getAttribute('target');
+    if (target && target !== '_self') {
+        return;
+    }
+
+    const url = new URL(link.getAttribute('href'), window.location.href);
+    if (url.origin !== window.location.origin) {
+        return;
+    }
+
+    // In-page anchor on the current page: let the browser scroll to it
+    const isSameDocument = url.pathname === window.location.pathname && url.search === window.location.search;
+    const isHashMode = globalScope.routes.config.mode === 'hash';
+    if (isSameDocument && url.hash && !(isHashMode && url.hash.startsWith('#/'))) {
+        // In hash mode the fragment holds the route, so scroll without changing it
+        if (isHashMode) {
+            event.preventDefault();
+            globalScope.routes.scrollToHash(url.hash.substring(1));
+        }
+        return;
+    }
+
+    // Links outside the app's base path are regular page loads
+    const location = globalScope.routes.getLocationFromUrl(url);
+    if (location === null) {
+        return;
+    }
+
+    navigate(event, location, { trigger: 'link' });
+}
+
+/**
+ * Handle buttons declaring a data-action (replaces inline onclick handlers)
+ * @param {MouseEvent} event - Click event
+ */
+function handleActionClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) {
+        return;
+    }
+
+    switch (button.dataset.action) {
+        case 'back':
+            window.history.back();
+            break;
+        case 'reload':
+            window.location.reload();
+            break;
+        case 'revalidate':
+            globalScope.routes.revalidate();
+            break;
+        case 'retry':
+            globalScope.routes.retry();
+            break;
+        default:
+            break;
     }
 }
 
+// Route link clicks and actions through a single delegated listener each
+document.addEventListener('click', handleLinkClick);
+document.addEventListener('click', handleActionClick);
+
+// Warn before reloading or leaving the app while a page has unsaved changes
+window.addEventListener('beforeunload', (event) => globalScope.routes.handleBeforeUnload(event));
+
+// Remember the scroll position of the current entry across reloads
+window.addEventListener('pagehide', () => globalScope.routes.saveScrollPosition());
+
 // Handle the back/forward buttons
 window.onpopstate = async (event) => {
     try {
-        const page = window.location.pathname.substring(1) ||
-                     window.location.hash.substring(1) ||
-                     ROUTES.HOME;
-        await loadPageContent(page);
+        const page = globalScope.routes.getCurrentLocation();
+
+        // Let leave guards of the current page cancel back/forward navigation
+        if (!(await globalScope.routes.handlePopState(page, event.state))) {
+            return;
+        }
+
+        // Only the fragment changed (in-page anchor): scroll instead of re-rendering
+        if (globalScope.routes.isCurrentPage(page)) {
+            globalScope.routes.restoreScrollPosition(globalScope.routes.resolve(page), 'popstate');
+            return;
+        }
+
+        await loadPageContent(page, { trigger: 'popstate' });
     } catch (error) {
         console.error('Browser navigation error:', error);
-        showNavigationError(error);
+        showNavigationError(error, globalScope.routes.getCurrentLocation());
     }
 };
 
@@ -76,56 +190,57 @@ window.onpopstate = async (event) => {
  */
 function initializePage() {
     try {
-        // Determine initial page
-        let initialPage = ROUTES.HOME;
-        const pathname = window.location.pathname.substring(1);
-        const hash = window.location.hash.substring(1);
-
-        if (pathname) {
-            initialPage = pathname === 'index.html' ? ROUTES.HOME : pathname;
-            window.history.replaceState({ page: initialPage }, '', `/${initialPage}`);
-        } else if (hash) {
-            // Necessary when running with http-server (npm package)
-            // If request comes from 404.html with "#", replace history
-            initialPage = hash;
-            window.history.replaceState({ page: initialPage }, '', `/${initialPage}`);
-        } else {
-            window.history.replaceState({ page: initialPage }, '', `/${initialPage}`);
+        // Determine initial page (handles the app root, index.html and the 404.html redirect)
+        const initialUrl = globalScope.routes.getCurrentLocation();
+        globalScope.routes.syncHistoryState(window.history.state);
+        globalScope.routes.writeHistory(initialUrl, true);
+
+        // The router restores scroll positions itself once the page has rendered
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        // Plugins still waiting here have a dependency that was never installed
+        const pendingPlugins = globalScope.app.getPendingPlugins();
+        if (pendingPlugins.length > 0) {
+            console.warn(`Plugins not installed, missing dependencies: ${pendingPlugins.join(', ')}`);
         }
 
         // Load initial page
-        loadPageContent(initialPage);
+        loadPageContent(initialUrl, { trigger: 'load' });
 
-        // Update page reloads count
-        updatePageReloadsCount();
+        // Warm routes the user is likely to visit next
+        if (globalScope.routes.config.prefetch) {
+            globalScope.routes.prefetcher.connect(document);
+        }
+
+        // Show the counters and count this page load
+        mountStatCounters();
+        globalScope.store.actions.session.pageLoaded();
     } catch (error) {
         console.error('Initialization error:', error);
-        showNavigationError(error);
+        showNavigationError(error, globalScope.routes.getCurrentLocation());
     }
 }
 
 /**
- * Update page reloads count in session storage and DOM
+ * Mount the counters that show store values
  */
-function updatePageReloadsCount() {
-    try {
-        const currentCount = sessionStorage.getItem(STORAGE_KEYS.PAGE_RELOADS);
-        const newCount = currentCount ? parseInt(currentCount) + 1 : 1;
-
-        sessionStorage.setItem(STORAGE_KEYS.PAGE_RELOADS, newCount.toString());
+function mountStatCounters() {
+    const { store } = globalScope;
+    const counters = [
+        { id: DOM_IDS.OFFLINE_NAV_COUNT, selector: store.selectors.navigation.offlineCount },
+        { id: DOM_IDS.PAGE_RELOADS_COUNT, selector: store.selectors.session.pageReloads }
+    ];
 
-        const countElement = document.getElementById(DOM_IDS.PAGE_RELOADS_COUNT);
-        if (countElement) {
-            countElement.textContent = newCount.toString(); // Use textContent for safety
+    counters.forEach(({ id, selector }) => {
+        const container = document.getElementById(id);
+        if (container) {
+            new StatCounter({ store, selector }).mount(container);
         }
-    } catch (error) {
-        console.error('Error updating page reloads count:', error);
-    }
+    });
 }
 
-// Expose navigate function globally for onclick handlers
-window.navigate = navigate;
-
 // Initialize page on DOM ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initializePage);
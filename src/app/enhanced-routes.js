@@ -1,127 +1,1795 @@
+import { compilePath, generatePath, matchPath, normalizePath, parseLocation } from './route-matcher.js';
+import { LoaderCache } from './loader-cache.js';
+import { Prefetcher } from './prefetcher.js';
+import { EventEmitter } from '../utils/event-emitter.js';
+import { stringifyQuery } from '../utils/query-string.js';
+import { escapeHTML } from '../utils/html.js';
+import { DOM_IDS, ENVIRONMENT, LOADER_CONFIG, PREFETCH_CONFIG, ROUTES, STORAGE_KEYS } from '../config/constants.js';
+
+// Maximum number of guard redirects followed for a single navigation
+const MAX_REDIRECTS = 10;
+
+// Number of history entries whose scroll position is remembered
+const MAX_SCROLL_POSITIONS = 50;
+
 /**
  * Enhanced Routes class with error boundaries, loading states, and route guards
+ *
+ * Navigation events (subscribe with routes.on(event, listener)):
+ * - navigationstart: a navigation began
+ * - navigationend: the new page is displayed
+ * - navigationerror: the navigation failed and an error page is shown ({ error, errorId })
+ * - guardblocked: a route guard blocked or redirected the navigation, or a leave
+ *   guard cancelled it ({ guard: 'route' | 'leave', redirect, pattern })
+ * Every payload has { trigger, from, to, startTime, duration }. The trigger is
+ * 'link', 'programmatic', 'popstate', 'load', 'redirect', 'revalidate' or 'retry'.
+ * A navigation superseded by a newer one emits no further events.
  */
-export class EnhancedRoutes {
+export class EnhancedRoutes extends EventEmitter {
   constructor(classPagesList, config = {}) {
+    super();
     this.pages = new Map();
     this.routeConfig = new Map();
+    this.matchers = [];
+    this.routeNames = new Map();
+    // Guards run before the routes' own guards, { guard, appliesTo } (see addGuard)
+    this.globalGuards = [];
+    this.renderedChain = [];
+    this.lazyRoutes = new Map();
+    this.currentRoute = null;
+    this.navigationId = 0;
+    this.navigationController = null;
+    this.historyIndex = 0;
+    this.entryKey = null;
+    this.scrollPositions = this.loadScrollPositions();
+    this.restoringHistory = false;
+    this.failedLocation = null;
+    this.endPendingState = null;
+    // Detached DOM of keep-alive pages, least recently used first
+    this.keepAliveCache = new Map();
     this.config = {
       onBeforeNavigate: null,
       onAfterNavigate: null,
       onError: null,
+      // 'development' shows escaped error details; 'production' shows a message and an error id
+      errorMode: ENVIRONMENT.CURRENT_ENV === 'development' ? 'development' : 'production',
+      // Animate page swaps (View Transitions API, or CSS classes as a fallback)
+      transitions: false,
+      // Milliseconds before the loading spinner replaces the old content
+      loadingDelay: 200,
+      // Maximum number of keep-alive pages retained while not displayed
+      keepAliveMax: 5,
+      confirmLeave: message => window.confirm(message),
+      // Breadcrumb trails link to the current route's parents, which must not look selected
+      activeLinkSelector: 'nav:not(.breadcrumbs) a[href]',
+      activeLinkClass: 'active',
+      // 'history' keeps routes in the path (/base/cat-fact); 'hash' keeps them in the fragment (/base/#/cat-fact)
+      mode: 'history',
+      // Path prefix the app is served from (e.g. '/my-app'); '' when served at the root
+      basePath: '',
+      // Defaults for route loaders; a page's `cache` property overrides them
+      loaderMaxAge: LOADER_CONFIG.MAX_AGE,
+      loaderStaleWhileRevalidate: LOADER_CONFIG.STALE_WHILE_REVALIDATE,
+      // Prefetch links on hover, focus and viewport entry (see Prefetcher)
+      prefetch: false,
+      prefetchConcurrency: PREFETCH_CONFIG.CONCURRENCY,
+      prefetchHoverDelay: PREFETCH_CONFIG.HOVER_DELAY,
+      prefetchRootMargin: PREFETCH_CONFIG.ROOT_MARGIN,
       ...config
     };
+    this.config.basePath = normalizePath(this.config.basePath) ? `/${normalizePath(this.config.basePath)}` : '';
+    this.loaderCache = new LoaderCache({
+      maxAge: this.config.loaderMaxAge,
+      staleWhileRevalidate: this.config.loaderStaleWhileRevalidate
+    });
+    this.prefetcher = new Prefetcher(this, {
+      concurrency: this.config.prefetchConcurrency,
+      hoverDelay: this.config.prefetchHoverDelay,
+      rootMargin: this.config.prefetchRootMargin
+    });
+
+    // Register pages and their configurations
+    for (let instanceClassPage of classPagesList) {
+      this.registerPage(instanceClassPage);
+    }
+  }
+
+  /**
+   * Register a page and, recursively, its child pages
+   * Child paths are relative to the parent path and must not be empty;
+   * children render into the parent's outlet (an element with data-outlet).
+   * The page's name (default: the pattern of its first path) identifies it for
+   * url(); other paths are aliases.
+   *
+   * Instead of a page instance, a lazy entry can be passed. Its module is
+   * imported on first visit and the exported page class is instantiated then:
+   * { paths: ['cat-fact'], load: () => import('./cat-fact.js'), exportName: 'CatFact' }
+   *
+   * @param {Object} instanceClassPage - Page instance or lazy route entry
+   * @param {string|null} parentPattern - Pattern of the parent layout route
+   */
+  registerPage(instanceClassPage, parentPattern = null) {
+    const isLazy = typeof instanceClassPage.load === 'function' &&
+      typeof instanceClassPage.getPageContent !== 'function';
+    const lazyRoute = isLazy ? { entry: instanceClassPage, patterns: [], promise: null } : null;
+
+    instanceClassPage.paths.map(normalizePath).forEach((path, index) => {
+      if (parentPattern !== null && path === '') {
+        throw new Error(`Child route of "${parentPattern}" must have a non-empty path`);
+      }
+
+      const pattern = parentPattern !== null ? `${parentPattern}/${path}` : path;
+      const name = index === 0 ? instanceClassPage.name || pattern : null;
+
+      if (isLazy) {
+        // Placeholder until the module is loaded; replaced by the real page afterwards
+        const loadAndGetPageContent = async (params, context) => {
+          await this.loadRouteModule(pattern);
+          return this.pages.get(pattern)(params, context);
+        };
+
+        lazyRoute.patterns.push(pattern);
+        this.lazyRoutes.set(pattern, lazyRoute);
+        this.registerRoute(pattern, loadAndGetPageContent, {
+          ...instanceClassPage,
+          name,
+          parent: parentPattern
+        });
+      } else {
+        // Store route configuration (meta tags, guards, etc.)
+        this.registerRoute(pattern, this.getPageContentFunction(instanceClassPage), {
+          ...this.getPageConfig(instanceClassPage),
+          name,
+          parent: parentPattern
+        });
+      }
+
+      for (const child of instanceClassPage.children || []) {
+        this.registerPage(child, pattern);
+      }
+    });
+  }
+
+  /**
+   * Create the content function of a page instance
+   * @param {Object} instanceClassPage - Page instance
+   * @returns {Function} Function receiving (params, route) that returns page content
+   */
+  getPageContentFunction(instanceClassPage) {
+    return async (params, context) => {
+      return instanceClassPage.getPageContent(params, context);
+    };
+  }
+
+  /**
+   * Read the route configuration declared on a page instance
+   * @param {Object} instanceClassPage - Page instance
+   * @returns {Object} Route configuration
+   */
+  getPageConfig(instanceClassPage) {
+    return {
+      title: instanceClassPage.title,
+      description: instanceClassPage.description,
+      requiresAuth: instanceClassPage.requiresAuth,
+      guards: instanceClassPage.guards,
+      meta: instanceClassPage.meta,
+      seoConfig: instanceClassPage.seoConfig,
+      breadcrumb: typeof instanceClassPage.breadcrumb === 'function'
+        ? instanceClassPage.breadcrumb.bind(instanceClassPage)
+        : instanceClassPage.breadcrumb,
+      breadcrumbParent: instanceClassPage.breadcrumbParent,
+      onMount: instanceClassPage.onMount ? instanceClassPage.onMount.bind(instanceClassPage) : null,
+      onUnmount: instanceClassPage.onUnmount ? instanceClassPage.onUnmount.bind(instanceClassPage) : null,
+      keepAlive: instanceClassPage.keepAlive,
+      onActivate: instanceClassPage.onActivate ? instanceClassPage.onActivate.bind(instanceClassPage) : null,
+      onDeactivate: instanceClassPage.onDeactivate ? instanceClassPage.onDeactivate.bind(instanceClassPage) : null,
+      canLeave: instanceClassPage.canLeave ? instanceClassPage.canLeave.bind(instanceClassPage) : null,
+      errorContent: instanceClassPage.errorContent ? instanceClassPage.errorContent.bind(instanceClassPage) : null,
+      transition: instanceClassPage.transition,
+      loader: instanceClassPage.loader ? instanceClassPage.loader.bind(instanceClassPage) : null,
+      cache: instanceClassPage.cache,
+      outlet: instanceClassPage.outlet
+    };
+  }
+
+  /**
+   * Load the module of a lazy route, once; later calls reuse the cached result
+   * A failed load is not cached, so visiting the route again retries it.
+   * @param {string} pattern - Route pattern
+   * @returns {Promise<void>}
+   */
+  async loadRouteModule(pattern) {
+    const lazyRoute = this.lazyRoutes.get(pattern);
+
+    if (!lazyRoute) {
+      return;
+    }
+
+    if (!lazyRoute.promise) {
+      lazyRoute.promise = this.importLazyPage(lazyRoute).catch((error) => {
+        lazyRoute.promise = null;
+        throw error;
+      });
+    }
+
+    await lazyRoute.promise;
+  }
+
+  /**
+   * Load the modules of every lazy route in a route chain
+   * @param {Array<string>} chain - Route patterns, parents first
+   * @returns {Promise<void>}
+   */
+  async loadRouteModules(chain) {
+    await Promise.all(chain.map(pattern => this.loadRouteModule(pattern)));
+  }
+
+  /**
+   * Import a lazy route module and register the page it exports
+   * @param {Object} lazyRoute - Lazy route record { entry, patterns }
+   * @returns {Promise<void>}
+   */
+  async importLazyPage(lazyRoute) {
+    const { entry } = lazyRoute;
+    const exportName = entry.exportName || 'default';
+    const module = await entry.load();
+    const PageExport = module[exportName];
+
+    if (!PageExport) {
+      throw new Error(`Lazy route "${lazyRoute.patterns[0]}" has no export named "${exportName}"`);
+    }
+
+    const instanceClassPage = typeof PageExport === 'function' ? new PageExport() : PageExport;
+    const pageConfig = this.getPageConfig(instanceClassPage);
+
+    for (const pattern of lazyRoute.patterns) {
+      const { name, parent, outlet, breadcrumb, breadcrumbParent } = this.routeConfig.get(pattern);
+
+      this.pages.set(pattern, this.getPageContentFunction(instanceClassPage));
+      this.routeConfig.set(pattern, this.createRouteConfig({
+        ...pageConfig,
+        // Guards declared on the entry run together with the page's own guards
+        guards: [...(entry.guards || []), ...(pageConfig.guards || [])],
+        outlet: pageConfig.outlet !== undefined ? pageConfig.outlet : outlet,
+        breadcrumb: pageConfig.breadcrumb !== undefined ? pageConfig.breadcrumb : breadcrumb,
+        breadcrumbParent: pageConfig.breadcrumbParent !== undefined ? pageConfig.breadcrumbParent : breadcrumbParent,
+        name,
+        parent
+      }));
+      this.lazyRoutes.delete(pattern);
+
+      // Children declared only on the loaded page become routable from now on
+      if (!entry.children) {
+        for (const child of instanceClassPage.children || []) {
+          this.registerPage(child, pattern);
+        }
+      }
+    }
+  }
+
+  /**
+   * Compile a route pattern and add it to the matcher list
+   * Static patterns are kept ahead of dynamic ones so they always win.
+   * @param {string} pattern - Route pattern
+   */
+  addMatcher(pattern) {
+    const matcher = compilePath(pattern);
+
+    this.matchers = this.matchers.filter(existing => existing.pattern !== matcher.pattern);
+    this.matchers.push(matcher);
+    this.matchers.sort((a, b) => Number(b.isStatic) - Number(a.isStatic));
+  }
+
+  /**
+   * Find the registered route matching a path
+   * @param {string} path - Route path (e.g. 'products/42' or '/products/42?tab=info')
+   * @returns {Object|null} Match { path, pattern, params } or null
+   */
+  matchRoute(path) {
+    const normalizedPath = parseLocation(path).pathname;
+
+    for (const matcher of this.matchers) {
+      const params = matchPath(matcher, normalizedPath);
+
+      if (params) {
+        return { path: normalizedPath, pattern: matcher.pattern, params };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a location to a route, falling back to the not-found route
+   * @param {string} path - Route location, optionally with query string and hash
+   * @returns {Object} Route context { path, pattern, params, query, hash, url }
+   */
+  resolve(path) {
+    const { pathname, query, hash } = parseLocation(path);
+    const match = this.matchRoute(pathname) || {
+      path: pathname,
+      pattern: 'not-found',
+      params: {}
+    };
+
+    return {
+      ...match,
+      query,
+      hash,
+      url: this.buildUrl(pathname, { query, hash }),
+      router: this
+    };
+  }
+
+  /**
+   * Build a URL from a route location plus extra query params and hash
+   * @param {string} target - Route location (e.g. 'cat-fact' or 'cat-fact?lang=en')
+   * @param {Object} options - { query, hash } merged over the ones in target
+   * @returns {string} URL (e.g. '/cat-fact?lang=en#top')
+   */
+  buildUrl(target, { query = {}, hash } = {}) {
+    const location = parseLocation(target);
+    const fragment = hash !== undefined ? hash : location.hash;
+
+    return `/${location.pathname}${stringifyQuery({ ...location.query, ...query })}${fragment ? `#${fragment}` : ''}`;
+  }
+
+  /**
+   * Convert a route URL into the href the browser shows, applying the routing
+   * mode and base path
+   * @param {string} url - Route URL (e.g. '/cat-fact?lang=en')
+   * @returns {string} Href (e.g. '/my-app/cat-fact?lang=en' or '/my-app/#/cat-fact?lang=en')
+   */
+  toHref(url) {
+    const { mode, basePath } = this.config;
+    return mode === 'hash' ? `${basePath}/#${url}` : `${basePath}${url}`;
+  }
+
+  /**
+   * Convert a browser URL back into a route URL
+   * @param {URL} url - Absolute URL
+   * @returns {string|null} Route URL, or null if the URL is not part of this app
+   */
+  getLocationFromUrl(url) {
+    const { mode, basePath } = this.config;
+
+    if (url.origin !== window.location.origin) {
+      return null;
+    }
+
+    if (mode === 'hash') {
+      const isAppDocument = [basePath, `${basePath}/`, `${basePath}/index.html`].includes(url.pathname);
+      return isAppDocument && url.hash.startsWith('#/') ? url.hash.substring(1) : null;
+    }
+
+    if (url.pathname !== basePath && !url.pathname.startsWith(`${basePath}/`)) {
+      return null;
+    }
+
+    return `${url.pathname.substring(basePath.length) || '/'}${url.search}${url.hash}`;
+  }
+
+  /**
+   * Get the route URL of the current browser location
+   * The app root and index.html show the home page. In history mode, deep links
+   * redirected by 404.html arrive as <basePath>/#/path and are unwrapped here.
+   * @returns {string} Route URL
+   */
+  getCurrentLocation() {
+    const location = this.getLocationFromUrl(new URL(window.location.href)) || '/';
+    const { pathname, query, hash } = parseLocation(location);
+
+    if (pathname !== '' && pathname !== 'index.html') {
+      return location;
+    }
+
+    if (this.config.mode === 'history' && hash.startsWith('/')) {
+      return this.buildUrl(hash);
+    }
+
+    return this.buildUrl(this.path(ROUTES.HOME), { query, hash });
+  }
+
+  /**
+   * Get the canonical URL of a route (absolute, without query string and fragment)
+   * @param {Object} route - Resolved route context
+   * @returns {string}
+   */
+  getCanonicalUrl(route) {
+    return `${window.location.origin}${this.toHref(`/${route.path}`)}`;
+  }
+
+  /**
+   * Build the route URL of a named route, for navigate() and redirects
+   * @param {string} name - Route name (see ROUTES in constants.js)
+   * @param {Object} params - Values for the route's params (e.g. { id: 42 })
+   * @param {Object} query - Query params
+   * @returns {string} Route URL (e.g. '/products/42?tab=info')
+   * @throws {Error} If the name is unknown or a required param is missing
+   */
+  path(name, params = {}, query = {}) {
+    const pattern = this.routeNames.get(name);
+
+    if (pattern === undefined) {
+      throw new Error(`Unknown route name "${name}"`);
+    }
+
+    return this.buildUrl(generatePath(pattern, params), { query });
+  }
+
+  /**
+   * Build the href of a named route (reverse routing), for links
+   * The routing mode and base path are applied, see toHref().
+   * @param {string} name - Route name (see ROUTES in constants.js)
+   * @param {Object} params - Values for the route's params (e.g. { id: 42 })
+   * @param {Object} query - Query params
+   * @returns {string} Href (e.g. '/products/42?tab=info')
+   * @throws {Error} If the name is unknown or a required param is missing
+   */
+  url(name, params = {}, query = {}) {
+    return this.toHref(this.path(name, params, query));
+  }
+
+  /**
+   * Get the named routes with their patterns and configurations
+   * @returns {Array<Object>} Routes { name, pattern, isStatic, config }
+   */
+  getNamedRoutes() {
+    return Array.from(this.routeNames, ([name, pattern]) => ({
+      name,
+      pattern,
+      isStatic: this.matchers.find(matcher => matcher.pattern === pattern).isStatic,
+      config: this.routeConfig.get(pattern)
+    }));
+  }
+
+  /**
+   * Fill in the href of links that reference a named route
+   * <a data-route="product" data-params='{"id": 42}' data-query='{"tab": "info"}'>
+   * @param {ParentNode} root - Element (or document) whose links are updated
+   */
+  updateRouteLinks(root = document) {
+    root.querySelectorAll('a[data-route]').forEach((link) => {
+      try {
+        const params = link.dataset.params ? JSON.parse(link.dataset.params) : {};
+        const query = link.dataset.query ? JSON.parse(link.dataset.query) : {};
+        link.setAttribute('href', this.url(link.dataset.route, params, query));
+      } catch (error) {
+        console.error(`Could not build link to route "${link.dataset.route}":`, error);
+      }
+    });
+  }
+
+  /**
+   * Push a new history entry and render the matching page
+   * Nothing happens when a leave guard of the current page cancels the navigation.
+   * @param {string} target - Route location (e.g. 'cat-fact?lang=en#top')
+   * @param {Object} options - { query, hash, replace, trigger } (trigger defaults to 'programmatic')
+   * @returns {Promise<boolean>} false if the navigation was cancelled
+   */
+  async navigate(target, options = {}) {
+    const url = this.buildUrl(target, options);
+    const trigger = options.trigger || 'programmatic';
+
+    if (!(await this.canLeaveCurrentPage(url, trigger))) {
+      return false;
+    }
+
+    this.saveScrollPosition();
+    this.writeHistory(url, options.replace);
+    await this.updatePageContent(url, { trigger });
+    return true;
+  }
+
+  /**
+   * Replace the current history entry and render the matching page
+   * @param {string} target - Route location
+   * @param {Object} options - { query, hash }
+   * @returns {Promise<boolean>} false if the navigation was cancelled
+   */
+  async replace(target, options = {}) {
+    return this.navigate(target, { ...options, replace: true });
+  }
+
+  /**
+   * Write a history entry for a URL
+   * Entries carry their position in the session history, so that a cancelled
+   * back/forward navigation can be undone, and a key identifying their saved
+   * scroll position. Replacing an entry keeps its key.
+   * @param {string} url - URL
+   * @param {boolean} replace - Replace the current entry instead of pushing one
+   */
+  writeHistory(url, replace = false) {
+    const currentState = window.history.state;
+
+    if (!replace) {
+      this.historyIndex += 1;
+    }
+
+    this.entryKey = replace && currentState && currentState.key
+      ? currentState.key
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    const state = { page: this.resolve(url).path, index: this.historyIndex, key: this.entryKey };
+    window.history[replace ? 'replaceState' : 'pushState'](state, '', this.toHref(url));
+  }
+
+  /**
+   * Adopt the position and key of an existing history entry
+   * (e.g. after back/forward, or after a reload, where history.state survives)
+   * @param {Object|null} state - history.state
+   */
+  syncHistoryState(state) {
+    if (state && Number.isInteger(state.index)) {
+      this.historyIndex = state.index;
+    }
+
+    this.entryKey = state && state.key ? state.key : null;
+  }
+
+  /**
+   * Read the scroll positions saved earlier in this browser session
+   * @returns {Map<string, Object>} Positions { x, y } by history entry key
+   */
+  loadScrollPositions() {
+    try {
+      return new Map(JSON.parse(sessionStorage.getItem(STORAGE_KEYS.SCROLL_POSITIONS)) || []);
+    } catch {
+      return new Map();
+    }
+  }
+
+  /**
+   * Remember the scroll position of the history entry being left
+   * Positions are kept in sessionStorage so they survive a reload.
+   */
+  saveScrollPosition() {
+    if (!this.entryKey) {
+      return;
+    }
+
+    this.scrollPositions.delete(this.entryKey);
+    this.scrollPositions.set(this.entryKey, { x: window.scrollX, y: window.scrollY });
+
+    // Drop the oldest entries (Map keeps insertion order)
+    while (this.scrollPositions.size > MAX_SCROLL_POSITIONS) {
+      this.scrollPositions.delete(this.scrollPositions.keys().next().value);
+    }
+
+    try {
+      sessionStorage.setItem(STORAGE_KEYS.SCROLL_POSITIONS, JSON.stringify(Array.from(this.scrollPositions)));
+    } catch (error) {
+      console.warn('Could not save scroll position:', error);
+    }
+  }
+
+  /**
+   * Scroll after a page is displayed
+   * Back/forward and reloads return to the saved position of the entry; other
+   * navigations scroll to the URL fragment, or to the top of the page.
+   * @param {Object} route - Resolved route context
+   * @param {string} trigger - What started the navigation ('popstate', 'load' or undefined)
+   */
+  restoreScrollPosition(route, trigger) {
+    const saved = this.entryKey ? this.scrollPositions.get(this.entryKey) : null;
+
+    if ((trigger === 'popstate' || trigger === 'load') && saved) {
+      window.scrollTo(saved.x, saved.y);
+      return;
+    }
+
+    if (!this.scrollToHash(route.hash)) {
+      window.scrollTo(0, 0);
+    }
+  }
+
+  /**
+   * Move keyboard focus to the new page, so it does not stay on the clicked link
+   * Focuses the h1 of the deepest rendered level, or the content region.
+   * @param {HTMLElement} container - Container of the deepest rendered level
+   */
+  focusPage(container) {
+    const contentDiv = document.getElementById(DOM_IDS.CONTENT);
+    const target = container.querySelector('h1') || contentDiv.querySelector('h1') || contentDiv;
+
+    // Headings and the content region are not focusable by default
+    if (!target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+    }
+
+    target.focus({ preventScroll: true });
+  }
+
+  /**
+   * Announce a message to screen readers through the polite live region
+   * @param {string} message - Text to announce (e.g. the new document title)
+   */
+  announce(message) {
+    const announcer = document.getElementById(DOM_IDS.ROUTE_ANNOUNCER);
+    if (!announcer) {
+      return;
+    }
+
+    // Clear first so that repeating the same title is announced again
+    announcer.textContent = '';
+    setTimeout(() => {
+      announcer.textContent = message;
+    }, 100);
+  }
+
+  /**
+   * Ask the leave guards of the rendered pages whether a navigation may proceed
+   * A page's canLeave(nextRoute, container) returns true to allow leaving, a
+   * message to ask the user (through config.confirmLeave), or anything else to
+   * block. Only the levels that the navigation replaces are asked, deepest first.
+   * @param {string} target - Route location being navigated to
+   * @param {string} trigger - What started the navigation (see navigation events)
+   * @returns {Promise<boolean>}
+   */
+  async canLeaveCurrentPage(target, trigger) {
+    const nextRoute = this.resolve(target);
+    const startIndex = this.getRenderStartIndex(this.getRouteChain(nextRoute.pattern), nextRoute);
+
+    for (const { pattern, container } of this.renderedChain.slice(startIndex).reverse()) {
+      const { canLeave } = this.routeConfig.get(pattern);
+
+      if (!canLeave) {
+        continue;
+      }
+
+      const result = await canLeave(nextRoute, container);
+
+      if (result === true) {
+        continue;
+      }
+
+      if (typeof result === 'string' && await this.config.confirmLeave(result)) {
+        continue;
+      }
+
+      console.info(`Leave guard of "${pattern}" cancelled navigation to "${nextRoute.url}"`);
+      this.emitNavigationEvent('guardblocked', {
+        ...nextRoute,
+        trigger,
+        from: this.currentRoute,
+        startTime: performance.now()
+      }, { guard: 'leave', redirect: null, pattern });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Ask the leave guards of the rendered pages whether their content may be
+   * thrown away to render the same location again (see revalidate)
+   * The guards get a null nextRoute, as when the app unloads.
+   * @param {Object} options - { confirm: true } to ask the user (through
+   *   config.confirmLeave) when a guard answers with a message, instead of refusing
+   * @returns {Promise<boolean>}
+   */
+  async canDiscardCurrentPage({ confirm = false } = {}) {
+    for (const { pattern, container } of this.renderedChain.slice().reverse()) {
+      const result = await this.askToDiscard(pattern, container);
+
+      if (result === true) {
+        continue;
+      }
+
+      if (confirm && typeof result === 'string' && await this.config.confirmLeave(result)) {
+        continue;
+      }
+
+      console.info(`Leave guard of "${pattern}" kept the page from being rendered again`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Handle a back/forward navigation, undoing it when a leave guard cancels it
+   * The browser has already changed the URL when popstate fires, so a cancelled
+   * navigation moves back to the entry that is still displayed.
+   * @param {string} target - Route location the browser moved to
+   * @param {Object|null} state - history.state of that entry
+   * @returns {Promise<boolean>} true if the new location should be rendered
+   */
+  async handlePopState(target, state) {
+    // popstate caused by undoing a cancelled navigation
+    if (this.restoringHistory) {
+      this.restoringHistory = false;
+      this.syncHistoryState(state);
+      return false;
+    }
+
+    if (this.isCurrentPage(target) || await this.canLeaveCurrentPage(target, 'popstate')) {
+      this.saveScrollPosition();
+      this.syncHistoryState(state);
+      return true;
+    }
+
+    if (state && Number.isInteger(state.index) && state.index !== this.historyIndex) {
+      this.restoringHistory = true;
+      window.history.go(this.historyIndex - state.index);
+    } else {
+      // Entry without a known position (e.g. a native anchor jump): re-add the current URL
+      this.writeHistory(this.currentRoute.url);
+    }
+
+    return false;
+  }
+
+  /**
+   * Ask a level's leave guard whether its content may be thrown away
+   * The guard gets a null nextRoute, as when the app unloads, and the element
+   * or detached fragment holding the content, so that a page instance serving
+   * several kept-alive entries can tell them apart.
+   * @param {string} pattern - Route pattern
+   * @param {HTMLElement|DocumentFragment} content - Level content
+   * @returns {*} The guard's answer (see canLeaveCurrentPage); true without a guard
+   */
+  askToDiscard(pattern, content) {
+    const config = this.routeConfig.get(pattern);
+    return config && config.canLeave ? config.canLeave(null, content) : true;
+  }
+
+  /**
+   * Warn before the document is unloaded (reload, closing the tab, external links)
+   * while a rendered or kept-alive page would block leaving. Browsers show their
+   * own message and cannot wait for asynchronous checks, so only synchronous
+   * results count here.
+   * @param {BeforeUnloadEvent} event - beforeunload event
+   */
+  handleBeforeUnload(event) {
+    const levels = [
+      ...this.renderedChain.map(({ pattern, container }) => ({ pattern, content: container })),
+      ...Array.from(this.keepAliveCache.values(), ({ pattern, fragment }) => ({ pattern, content: fragment }))
+    ];
+    const blocked = levels.some(({ pattern, content }) => {
+      const result = this.askToDiscard(pattern, content);
+      return result !== true && !(result instanceof Promise);
+    });
+
+    if (blocked) {
+      event.preventDefault();
+      event.returnValue = '';
+    }
+  }
+
+  /**
+   * Check whether a location points at the page currently displayed
+   * The hash is ignored, so in-page anchor changes count as the same page.
+   * @param {string} target - Route location
+   * @returns {boolean}
+   */
+  isCurrentPage(target) {
+    if (!this.currentRoute) {
+      return false;
+    }
+
+    const { path, query } = this.resolve(target);
+    return this.currentRoute.path === path &&
+      stringifyQuery(this.currentRoute.query) === stringifyQuery(query);
+  }
+
+  /**
+   * Get the breadcrumb trail of a route, from the outermost ancestor to the route itself
+   * A route's ancestor is the route named by its breadcrumbParent or, failing
+   * that, its parent layout. Routes without a breadcrumb label are left out.
+   * A label is a string or a function receiving the level's route context
+   * (with its loader data as route.data).
+   * @param {Object} route - Resolved route context (default: the current route)
+   * @returns {Array<Object>} Breadcrumbs { name, url, href, pattern }
+   */
+  getBreadcrumbs(route = this.currentRoute) {
+    const trail = [];
+    const visited = new Set();
+    let pattern = route ? this.getRouteChain(route.pattern).pop() : null;
+
+    while (pattern && !visited.has(pattern)) {
+      visited.add(pattern);
+      const config = this.routeConfig.get(pattern);
+
+      try {
+        const name = typeof config.breadcrumb === 'function'
+          ? config.breadcrumb(this.getLevelContext(pattern, route))
+          : config.breadcrumb;
+
+        if (name) {
+          const url = generatePath(pattern, route.params);
+          trail.unshift({ name: String(name), url, href: this.toHref(url), pattern });
+        }
+      } catch (error) {
+        console.warn(`Could not build the breadcrumb of "${pattern}":`, error);
+      }
+
+      if (config.breadcrumbParent === null) {
+        pattern = config.parent;
+      } else if (this.routeNames.has(config.breadcrumbParent)) {
+        pattern = this.routeNames.get(config.breadcrumbParent);
+      } else {
+        console.warn(`Unknown breadcrumbParent "${config.breadcrumbParent}" on route "${pattern}"`);
+        pattern = null;
+      }
+    }
+
+    return trail;
+  }
+
+  /**
+   * Mark navigation links pointing at the current route
+   * Links to the current page get aria-current="page"; links to it and to its
+   * parent layouts get the active class.
+   */
+  updateActiveLinks() {
+    const { currentRoute } = this;
+    const activeChain = currentRoute ? this.getRouteChain(currentRoute.pattern) : [];
+
+    document.querySelectorAll(this.config.activeLinkSelector).forEach((link) => {
+      const location = this.getLocationFromUrl(new URL(link.getAttribute('href'), window.location.href));
+      const match = location !== null ? this.matchRoute(location) : null;
+      const isActive = match !== null && activeChain.includes(match.pattern);
+      const isCurrent = isActive && match.path === currentRoute.path;
+
+      link.classList.toggle(this.config.activeLinkClass, isActive);
+
+      if (isCurrent) {
+        link.setAttribute('aria-current', 'page');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Scroll to the element referenced by a URL fragment
+   * @param {string} hash - Fragment without the leading "#"
+   * @returns {boolean} Whether a target element was found
+   */
+  scrollToHash(hash) {
+    if (!hash) {
+      return false;
+    }
+
+    let id = hash;
+    try {
+      id = decodeURIComponent(hash);
+    } catch {
+      // Keep the raw fragment
+    }
+
+    const target = document.getElementById(id) || document.getElementsByName(id)[0];
+    if (target) {
+      target.scrollIntoView();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the chain of route patterns from the outermost layout down to a route
+   * @param {string} pattern - Route pattern
+   * @returns {Array<string>} Route patterns, parents first
+   */
+  getRouteChain(pattern) {
+    const chain = [];
+    let current = this.routeConfig.has(pattern) ? pattern : 'not-found';
+
+    while (current !== null && current !== undefined) {
+      chain.unshift(current);
+      current = this.routeConfig.get(current).parent;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Identify a rendered level by its pattern and the params it consumes
+   * @param {string} pattern - Route pattern
+   * @param {Object} params - Matched params
+   * @returns {string}
+   */
+  getLevelKey(pattern, params) {
+    const matcher = this.matchers.find(existing => existing.pattern === pattern);
+    const values = matcher ? matcher.keys.map(key => params[key.name]) : [];
+    return `${pattern}|${JSON.stringify(values)}`;
+  }
+
+  /**
+   * Find the first level of a route chain that differs from what is rendered
+   * Shared layouts above that level are kept as they are.
+   * @param {Array<string>} chain - Route patterns, parents first
+   * @param {Object} route - Resolved route context
+   * @returns {number} Index of the first level to render
+   */
+  getRenderStartIndex(chain, route) {
+    let index = 0;
+
+    while (
+      index < chain.length &&
+      index < this.renderedChain.length &&
+      !this.renderedChain[index].replaced &&
+      this.renderedChain[index].key === this.getLevelKey(chain[index], route.params)
+    ) {
+      index++;
+    }
+
+    // Always re-render at least the deepest level (e.g. query changes or parent-only routes)
+    return Math.min(index, chain.length - 1);
+  }
+
+  /**
+   * Find the outlet a route renders into inside its parent's container
+   * @param {HTMLElement} container - Parent level container
+   * @param {string} pattern - Child route pattern
+   * @returns {HTMLElement|null}
+   */
+  findOutlet(container, pattern) {
+    const { outlet } = this.routeConfig.get(pattern);
+    return container.querySelector(`[data-outlet="${outlet}"]`);
+  }
+
+  /**
+   * Get route configuration
+   * @param {string} path - Route path
+   * @returns {Object} Route configuration
+   */
+  getRouteConfig(path) {
+    const { pattern } = this.resolve(path);
+    return this.routeConfig.get(pattern) || this.routeConfig.get('not-found');
+  }
+
+  /**
+   * Get page content with error handling
+   * @param {string} path - Route path
+   * @returns {Promise<string>} Page content HTML
+   */
+  async getPageContent(path) {
+    try {
+      return await this.loadPageContent(path);
+    } catch (error) {
+      return this.getErrorPageContent(error, this.reportError(error, path));
+    }
+  }
+
+  /**
+   * Load page content without error handling
+   * @param {string} path - Route path
+   * @param {Object} route - Resolved route context
+   * @returns {Promise<string>} Page content HTML
+   */
+  async loadPageContent(path, route = this.resolve(path)) {
+    return await this.loadRouteContent(route.pattern, route);
+  }
+
+  /**
+   * Load the content of a single route level
+   * @param {string} pattern - Route pattern
+   * @param {Object} route - Resolved route context
+   * @returns {Promise<string>} Route content HTML
+   */
+  async loadRouteContent(pattern, route) {
+    const getPageContent = this.pages.get(pattern) || this.pages.get('not-found');
+
+    await this.loadRouteData(pattern, route);
+    return await getPageContent(route.params, this.getLevelContext(pattern, route));
+  }
+
+  /**
+   * Run the loader of a route level, through the loader cache
+   * The result is kept on the route context and exposed to the page as route.data.
+   * @param {string} pattern - Route pattern
+   * @param {Object} route - Resolved route context
+   * @returns {Promise<void>}
+   */
+  async loadRouteData(pattern, route) {
+    const config = this.routeConfig.get(pattern);
+
+    if (!route.loaderData) {
+      route.loaderData = new Map();
+    }
+
+    if (!config || !config.loader) {
+      return;
+    }
+
+    const data = await this.loaderCache.load(
+      this.getLoaderKey(pattern, route),
+      signal => config.loader({ params: route.params, query: route.query, signal }),
+      {
+        ...config.cache,
+        signal: route.signal,
+        onRevalidate: key => this.handleRevalidated(key)
+      }
+    );
+
+    route.loaderData.set(pattern, data);
+  }
+
+  /**
+   * Get the cache key of a route level's loader data (its params and the query)
+   * @param {string} pattern - Route pattern
+   * @param {Object} route - Resolved route context
+   * @returns {string}
+   */
+  getLoaderKey(pattern, route) {
+    return `${this.getLevelKey(pattern, route.params)}${stringifyQuery(route.query)}`;
+  }
+
+  /**
+   * Get the route context passed to a level's getPageContent and onMount
+   * @param {string} pattern - Route pattern
+   * @param {Object} route - Resolved route context
+   * @returns {Object} Route context with the level's loader data
+   */
+  getLevelContext(pattern, route) {
+    return {
+      ...route,
+      data: route.loaderData ? route.loaderData.get(pattern) : undefined
+    };
+  }
+
+  /**
+   * Load fresh data for the current page and render it again
+   * Suitable for refresh buttons (see data-action="revalidate"). A page that
+   * reports unsaved changes is only rendered again once the user confirms.
+   * @returns {Promise<void>}
+   */
+  async revalidate() {
+    const route = this.currentRoute;
+
+    if (!route || !(await this.canDiscardCurrentPage({ confirm: true }))) {
+      return;
+    }
+
+    for (const pattern of this.getRouteChain(route.pattern)) {
+      this.loaderCache.invalidate(this.getLoaderKey(pattern, route));
+    }
+
+    await this.updatePageContent(route.url, { trigger: 'revalidate' });
+  }
+
+  /**
+   * Render the current page again when a background refresh updated its data
+   * The page is left as it is while it reports unsaved changes; the refreshed
+   * data is used on the next visit.
+   * @param {string} key - Loader cache key that was refreshed
+   * @returns {Promise<void>}
+   */
+  async handleRevalidated(key) {
+    const route = this.currentRoute;
+
+    // Leave it to the navigation in progress, if any
+    if (!route || route.navigationId !== this.navigationId) {
+      return;
+    }
+
+    if (!this.getRouteChain(route.pattern).some(pattern => this.getLoaderKey(pattern, route) === key)) {
+      return;
+    }
+
+    if (await this.canDiscardCurrentPage() && route.navigationId === this.navigationId) {
+      await this.updatePageContent(route.url, { trigger: 'revalidate' });
+    }
+  }
+
+  /**
+   * Load a route's modules and loader data ahead of navigation
+   * Navigating to the route later reuses both: loaded modules stay registered
+   * and the data is taken from the loader cache, or from the request still in
+   * flight. Data of guarded routes is not prefetched, since their loaders may
+   * rely on the guards having passed.
+   * @param {string} target - Route location (e.g. 'cat-fact?lang=en')
+   * @returns {Promise<void>}
+   */
+  async prefetch(target) {
+    const route = this.resolve(target);
+    const chain = this.getRouteChain(route.pattern);
+
+    await this.loadRouteModules(chain);
+
+    if (this.isGuarded(route.pattern)) {
+      return;
+    }
+
+    await Promise.all(chain.map(pattern => this.loadRouteData(pattern, route)));
+  }
+
+  /**
+   * Update page content with loading state and error boundary
+   * Every call starts a new navigation: the previous one is aborted through its
+   * AbortSignal and whatever it resolves afterwards is discarded.
+   * @param {string} path - Route location, optionally with query string and hash
+   * @param {Object} options - { trigger } (see navigation events; default 'programmatic')
+   *   and internal state ({ redirectChain })
+   *   A 'revalidate' render re-renders every level, keeps the old content visible
+   *   while loading, and leaves scroll position and focus alone.
+   *   Keep-alive pages are reattached from the cache, except for 'revalidate'
+   *   and 'retry', which render them again unless they hold unsaved changes.
+   * @returns {Promise<void>}
+   */
+  async updatePageContent(path, options = {}) {
+    const contentDiv = document.getElementById('content');
+    const route = this.startNavigation(path, options.trigger || 'programmatic');
+    const chain = this.getRouteChain(route.pattern);
+    let container = contentDiv;
+
+    this.emitNavigationEvent('navigationstart', route);
+
+    // Level whose content or onMount failed, so its errorContent can be used
+    let failedPattern = null;
+    let cancelPendingState = null;
+    // Unmounting of the levels being replaced, once started (see unmountReplaced)
+    let unmounting = null;
+
+    try {
+      // Fetch lazy route modules on first visit so their guards and hooks are known
+      await this.loadRouteModules(chain);
+      if (this.isSuperseded(route)) {
+        return;
+      }
 
-    // Register pages and their configurations
-    for (let instanceClassPage of classPagesList) {
-      const getPageContentFunction = async () => {
-        return instanceClassPage.getPageContent();
+      // Run route guards
+      const guardResult = await this.runGuards(path, route);
+      if (this.isSuperseded(route)) {
+        return;
+      }
+      if (guardResult !== true) {
+        this.emitNavigationEvent('guardblocked', route, {
+          guard: 'route',
+          redirect: guardResult && guardResult.redirect ? guardResult.redirect : null,
+          pattern: null
+        });
+        if (guardResult && guardResult.redirect) {
+          await this.followRedirect(guardResult, route, options.redirectChain || []);
+        }
+        return;
+      }
+
+      // Keep shared layouts and only re-render from the first level that changed
+      let startIndex = options.trigger === 'revalidate' ? 0 : this.getRenderStartIndex(chain, route);
+      if (startIndex > 0) {
+        container = this.findOutlet(this.renderedChain[startIndex - 1].container, chain[startIndex]);
+      }
+      if (!container) {
+        startIndex = 0;
+        container = contentDiv;
+      }
+      const startContainer = container;
+      const reuseKeptAlive = options.trigger !== 'revalidate' && options.trigger !== 'retry';
+
+      // The pages being replaced stay on screen until the new content is committed
+      // (or the spinner replaces them); they are torn down before their DOM is removed
+      const unmountReplaced = () => {
+        unmounting = unmounting || this.unmountLevels(startIndex, { keepAlive: reuseKeptAlive });
+        return unmounting;
       };
 
-      for (let path of instanceClassPage.paths) {
-        this.pages.set(path, getPageContentFunction);
+      // Levels whose detached DOM can be reattached instead of rendered again
+      // ('revalidate' and 'retry' only reattach pages holding unsaved changes)
+      const keptAlive = await Promise.all(chain.slice(startIndex).map(async (pattern) => {
+        const entry = this.keepAliveCache.get(this.getLoaderKey(pattern, route)) || null;
+        return entry && (reuseKeptAlive || await this.hasUnsavedChanges(entry)) ? entry : null;
+      }));
+      if (this.isSuperseded(route)) {
+        return;
+      }
 
-        // Store route configuration (meta tags, guards, etc.)
-        this.routeConfig.set(path, {
-          title: instanceClassPage.title || 'Page',
-          description: instanceClassPage.description || '',
-          requiresAuth: instanceClassPage.requiresAuth || false,
-          guards: instanceClassPage.guards || [],
-          meta: instanceClassPage.meta || {},
-          seoConfig: instanceClassPage.seoConfig || null
-        });
+      // Show loading state (the spinner only for slow loads)
+      cancelPendingState = this.showPendingState(container, options.trigger !== 'revalidate' ? unmountReplaced : null);
+
+      // Load content for every level that needs rendering
+      const contents = await Promise.all(
+        chain.slice(startIndex).map((pattern, offset) => (
+          keptAlive[offset] ? null : this.loadRouteContent(pattern, route).catch((error) => {
+            failedPattern = failedPattern || pattern;
+            throw error;
+          })
+        ))
+      );
+      if (this.isSuperseded(route)) {
+        return;
+      }
+
+      // Call onBeforeNavigate hook (only for the navigation about to be displayed)
+      if (this.config.onBeforeNavigate) {
+        await this.config.onBeforeNavigate(path, route);
+        if (this.isSuperseded(route)) {
+          return;
+        }
+      }
+
+      const commit = async () => {
+        cancelPendingState();
+
+        await unmountReplaced();
+        if (this.isSuperseded(route)) {
+          return;
+        }
+
+        for (let index = startIndex; index < chain.length; index++) {
+          failedPattern = chain[index];
+
+          // A page left just now under the same URL is reattached as well
+          const entry = keptAlive[index - startIndex] ||
+            (reuseKeptAlive ? this.keepAliveCache.get(this.getLoaderKey(chain[index], route)) : null);
+
+          if (entry) {
+            await this.activateLevel(chain[index], container, route, entry);
+          } else {
+            // Update content
+            container.innerHTML = contents[index - startIndex];
+
+            // Let the page wire up its DOM (inline scripts do not run via innerHTML)
+            await this.mountLevel(chain[index], container, route);
+          }
+          if (this.isSuperseded(route)) {
+            return;
+          }
+
+          if (index + 1 < chain.length) {
+            const outlet = this.findOutlet(container, chain[index + 1]);
+            if (!outlet) {
+              throw new Error(`Route "${chain[index]}" does not render an outlet for "${chain[index + 1]}"`);
+            }
+            container = outlet;
+          }
+        }
+
+        await this.trimKeepAliveCache();
+      };
+
+      // Initial renders and in-place refreshes are not animated
+      if (options.trigger === 'load' || options.trigger === 'revalidate') {
+        await commit();
+      } else {
+        await this.runTransition(commit, startContainer, chain);
       }
+      if (this.isSuperseded(route)) {
+        return;
+      }
+
+      failedPattern = null;
+      this.currentRoute = route;
+      this.failedLocation = null;
+      this.updateRouteLinks();
+      this.updateActiveLinks();
+      this.prefetcher.observeLinks();
+
+      // Call onAfterNavigate hook
+      if (this.config.onAfterNavigate) {
+        await this.config.onAfterNavigate(path, route);
+      }
+
+      this.emitNavigationEvent('navigationend', route);
+
+      if (options.trigger === 'revalidate') {
+        return;
+      }
+
+      this.restoreScrollPosition(route, options.trigger);
+
+      // On the initial load the browser already announces the document
+      if (options.trigger !== 'load') {
+        this.focusPage(container);
+        this.announce(document.title);
+      }
+    } catch (error) {
+      // Errors of an aborted navigation (e.g. AbortError from fetch) are expected
+      if (this.isSuperseded(route)) {
+        return;
+      }
+      if (cancelPendingState) {
+        cancelPendingState();
+      }
+      if (unmounting) {
+        await unmounting;
+      }
+      // The error page replaces the level rendered in the container and those nested in it
+      const replacedIndex = this.renderedChain.findIndex(level => level.container === container);
+      if (replacedIndex !== -1) {
+        await this.unmountLevels(replacedIndex);
+        await this.trimKeepAliveCache();
+        if (this.isSuperseded(route)) {
+          return;
+        }
+      }
+      const errorId = this.renderError(container, error, path, failedPattern);
+      this.emitNavigationEvent('navigationerror', route, { error, errorId });
     }
   }
 
   /**
-   * Get route configuration
-   * @param {string} path - Route path
-   * @returns {Object} Route configuration
+   * Emit a navigation event (see the class documentation)
+   * @param {string} type - Event name
+   * @param {Object} route - Route context returned by startNavigation
+   * @param {Object} details - Event-specific fields
    */
-  getRouteConfig(path) {
-    return this.routeConfig.get(path) || this.routeConfig.get('not-found');
+  emitNavigationEvent(type, route, details = {}) {
+    this.emit(type, {
+      trigger: route.trigger,
+      from: this.describeRoute(route.from),
+      to: this.describeRoute(route),
+      startTime: route.startTime,
+      duration: performance.now() - route.startTime,
+      ...details
+    });
   }
 
   /**
-   * Get page content with error handling
-   * @param {string} path - Route path
-   * @returns {Promise<string>} Page content HTML
+   * Summarize a route context for event listeners
+   * @param {Object|null} route - Resolved route context
+   * @returns {Object|null} { url, path, pattern, name, params, query }
    */
-  async getPageContent(path) {
-    try {
-      const getPageContent = this.pages.get(path) || this.pages.get('not-found');
-      return await getPageContent();
-    } catch (error) {
-      console.error(`Error loading page content for "${path}":`, error);
+  describeRoute(route) {
+    if (!route) {
+      return null;
+    }
+
+    const config = this.routeConfig.get(route.pattern);
+
+    return {
+      url: route.url,
+      path: route.path,
+      pattern: route.pattern,
+      name: config ? config.name : null,
+      params: route.params,
+      query: route.query
+    };
+  }
+
+  /**
+   * Mark a container as loading until the new content is committed
+   * The old content stays in place, faded and inert, so fast loads do not flash
+   * a spinner; the spinner replaces it only after config.loadingDelay.
+   * @param {HTMLElement} container - Container about to be re-rendered
+   * @param {Function|null} beforeSpinner - Awaited before the spinner replaces the
+   *   old content (to unmount its pages); null to show no spinner
+   * @returns {Function} Function that ends the pending state
+   */
+  showPendingState(container, beforeSpinner) {
+    const timer = beforeSpinner
+      ? setTimeout(async () => {
+        await beforeSpinner();
+        if (this.endPendingState === endPendingState) {
+          this.showLoadingState(container);
+        }
+      }, this.config.loadingDelay)
+      : null;
+
+    container.classList.add('route-pending');
+    container.setAttribute('aria-busy', 'true');
+
+    const endPendingState = () => {
+      clearTimeout(timer);
+      container.classList.remove('route-pending');
+      container.removeAttribute('aria-busy');
 
-      if (this.config.onError) {
-        this.config.onError(error, path);
+      if (this.endPendingState === endPendingState) {
+        this.endPendingState = null;
       }
+    };
+
+    this.endPendingState = endPendingState;
+    return endPendingState;
+  }
+
+  /**
+   * Swap page content with an animation, when transitions are enabled
+   * Uses document.startViewTransition where supported and otherwise plays the
+   * .route-enter CSS animation on the new content. Nothing is animated when the
+   * user prefers reduced motion or a route in the chain sets transition = false.
+   * @param {Function} update - Async function that updates the DOM
+   * @param {HTMLElement} container - Container whose content is replaced
+   * @param {Array<string>} chain - Route patterns being rendered
+   * @returns {Promise<void>}
+   */
+  async runTransition(update, container, chain) {
+    const prefersReducedMotion = typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const optedOut = chain.some(pattern => this.routeConfig.get(pattern).transition === false);
+
+    if (!this.config.transitions || prefersReducedMotion || optedOut) {
+      await update();
+      return;
+    }
 
-      return this.getErrorPageContent(error);
+    if (typeof document.startViewTransition === 'function') {
+      const transition = document.startViewTransition(update);
+
+      // Failures of the update are reported through updateCallbackDone
+      transition.ready.catch(() => {});
+      transition.finished.catch(() => {});
+      await transition.updateCallbackDone;
+      return;
     }
+
+    await update();
+
+    // Restart the animation if the previous one has not finished yet
+    container.classList.remove('route-enter');
+    void container.offsetWidth;
+    container.classList.add('route-enter');
+    container.addEventListener('animationend', () => {
+      container.classList.remove('route-enter');
+    }, { once: true });
   }
 
   /**
-   * Update page content with loading state and error boundary
-   * @param {string} path - Route path
+   * Start a new navigation, aborting the one in progress
+   * @param {string} path - Route location
+   * @param {string} trigger - What started the navigation (see navigation events)
+   * @returns {Object} Route context with navigationId, signal, trigger, timing and the previous route
+   */
+  startNavigation(path, trigger) {
+    if (this.navigationController) {
+      this.navigationController.abort();
+    }
+
+    // The superseded navigation must not show its spinner later
+    if (this.endPendingState) {
+      this.endPendingState();
+    }
+
+    this.navigationController = new AbortController();
+    this.navigationId += 1;
+
+    return {
+      ...this.resolve(path),
+      navigationId: this.navigationId,
+      signal: this.navigationController.signal,
+      loaderData: new Map(),
+      trigger,
+      from: this.currentRoute,
+      startTime: performance.now()
+    };
+  }
+
+  /**
+   * Check whether a newer navigation has started since this one
+   * @param {Object} route - Route context returned by startNavigation
+   * @returns {boolean}
+   */
+  isSuperseded(route) {
+    return route.navigationId !== this.navigationId;
+  }
+
+  /**
+   * Perform a redirect requested by a route guard
+   * The redirect replaces the blocked history entry. Redirects that come back to
+   * a URL already visited in this chain (or run too deep) are treated as a loop.
+   * @param {Object} result - Guard result { redirect, query, hash }; redirect is a
+   *   route location or a named route { name, params }
+   * @param {Object} route - Route context of the blocked navigation
+   * @param {Array<string>} redirectChain - URLs already redirected from
    * @returns {Promise<void>}
    */
-  async updatePageContent(path) {
-    const contentDiv = document.getElementById('content');
+  async followRedirect(result, route, redirectChain) {
+    const target = typeof result.redirect === 'object'
+      ? this.path(result.redirect.name, result.redirect.params)
+      : result.redirect;
+    const url = this.buildUrl(target, { query: result.query, hash: result.hash });
+    const chain = [...redirectChain, route.url];
 
-    // Run route guards
-    const canNavigate = await this.runGuards(path);
-    if (!canNavigate) {
+    if (chain.includes(url) || chain.length > MAX_REDIRECTS) {
+      const error = new Error(`Redirect loop detected: ${[...chain, url].join(' -> ')}`);
+      await this.unmountLevels(0);
+      await this.trimKeepAliveCache();
+      const errorId = this.renderError(document.getElementById('content'), error, route.url);
+      this.emitNavigationEvent('navigationerror', route, { error, errorId });
       return;
     }
 
-    // Call onBeforeNavigate hook
-    if (this.config.onBeforeNavigate) {
-      await this.config.onBeforeNavigate(path);
+    console.info(`Route guard redirected "${route.url}" to "${url}"`);
+    this.writeHistory(url, true);
+    await this.updatePageContent(url, { trigger: 'redirect', redirectChain: chain });
+  }
+
+  /**
+   * Get the URL to return to after a redirect (e.g. after logging in)
+   * Only same-origin paths are accepted, to avoid open redirects.
+   * @param {string} fallbackName - Name of the route used when there is no valid returnTo
+   * @returns {string} URL
+   */
+  getReturnUrl(fallbackName = ROUTES.HOME) {
+    const returnTo = this.currentRoute && this.currentRoute.query.returnTo;
+
+    if (typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo)) {
+      return returnTo;
     }
 
-    try {
-      // Show loading state
-      this.showLoadingState(contentDiv);
+    return this.path(fallbackName);
+  }
+
+  /**
+   * Render the error page into a container and report the error
+   * A page can render its own error view with errorContent(error, { errorId });
+   * otherwise the router's error page is used. The location is remembered so
+   * that retry() can run it again. Levels still rendered in the container (when
+   * called without unmounting them first, e.g. by app.js) are marked as replaced:
+   * they are rendered again on the next navigation and never kept alive.
+   * @param {HTMLElement} container - Element to render the error into
+   * @param {Error} error - Error object
+   * @param {string} path - Route location that failed
+   * @param {string|null} pattern - Route pattern of the level that failed
+   * @returns {string} Error id
+   */
+  renderError(container, error, path, pattern = null) {
+    const errorId = this.reportError(error, path);
+    const config = pattern ? this.routeConfig.get(pattern) : null;
+    let content = null;
 
-      // Load content
-      const content = await this.getPageContent(path);
+    this.failedLocation = path;
 
-      // Update content
-      contentDiv.innerHTML = content;
+    this.renderedChain.forEach((level) => {
+      if (container.contains(level.container)) {
+        level.replaced = true;
+      }
+    });
 
-      // Call onAfterNavigate hook
-      if (this.config.onAfterNavigate) {
-        await this.config.onAfterNavigate(path);
+    if (config && config.errorContent) {
+      try {
+        content = config.errorContent(error, { errorId });
+      } catch (errorContentError) {
+        console.error(`errorContent of "${pattern}" failed:`, errorContentError);
       }
-    } catch (error) {
-      console.error('Error updating page content:', error);
-      contentDiv.innerHTML = this.getErrorPageContent(error);
+    }
+
+    container.innerHTML = content || this.getErrorPageContent(error, errorId);
+    return errorId;
+  }
+
+  /**
+   * Log an error with a new error id and pass it to config.onError
+   * @param {Error} error - Error object
+   * @param {string} path - Route location
+   * @returns {string} Error id, shown to users so they can quote it to support
+   */
+  reportError(error, path) {
+    const errorId = `ERR-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`.toUpperCase();
+
+    console.error(`[${errorId}] Error on "${path}":`, error);
 
-      if (this.config.onError) {
-        this.config.onError(error, path);
+    if (this.config.onError) {
+      this.config.onError(error, path, errorId);
+    }
+
+    return errorId;
+  }
+
+  /**
+   * Run the navigation that last failed again, without reloading the document
+   * Failed lazy modules and loaders are not cached, so they are requested again.
+   * @returns {Promise<void>}
+   */
+  async retry() {
+    if (this.failedLocation === null) {
+      return;
+    }
+
+    await this.updatePageContent(this.failedLocation, { trigger: 'retry' });
+  }
+
+  /**
+   * Record a rendered level and call its onMount hook
+   * @param {string} pattern - Route pattern
+   * @param {HTMLElement} container - Element holding the level content
+   * @param {Object} route - Resolved route context
+   * @returns {Promise<void>}
+   */
+  async mountLevel(pattern, container, route) {
+    const config = this.routeConfig.get(pattern);
+
+    const context = this.getLevelContext(pattern, route);
+
+    this.renderedChain.push({
+      pattern,
+      key: this.getLevelKey(pattern, route.params),
+      cacheKey: this.getLoaderKey(pattern, route),
+      container,
+      context
+    });
+
+    if (config && config.onMount) {
+      await config.onMount(container, context);
+    }
+  }
+
+  /**
+   * Reattach the DOM of a keep-alive level and call its onActivate hook
+   * The page keeps the state it had when it was left (form input, mounted
+   * components) and its getPageContent, loader and onMount are not run again.
+   * @param {string} pattern - Route pattern
+   * @param {HTMLElement} container - Element to hold the level content
+   * @param {Object} route - Resolved route context
+   * @param {Object} entry - Keep-alive cache entry { fragment, context }
+   * @returns {Promise<void>}
+   */
+  async activateLevel(pattern, container, route, entry) {
+    const config = this.routeConfig.get(pattern);
+    const cacheKey = this.getLoaderKey(pattern, route);
+
+    this.keepAliveCache.delete(cacheKey);
+    container.replaceChildren(entry.fragment);
+    route.loaderData.set(pattern, entry.context.data);
+
+    const context = this.getLevelContext(pattern, route);
+
+    this.renderedChain.push({
+      pattern,
+      key: this.getLevelKey(pattern, route.params),
+      cacheKey,
+      container,
+      context
+    });
+
+    if (config.onActivate) {
+      await config.onActivate(container, context);
+    }
+  }
+
+  /**
+   * Unmount rendered levels, deepest first
+   * Keep-alive levels are detached into the keep-alive cache (calling
+   * onDeactivate); other levels, and levels whose DOM an error page replaced,
+   * get their onUnmount hook called.
+   * @param {number} fromIndex - First level to unmount
+   * @param {Object} options - { keepAlive: false } to unmount keep-alive levels too
+   * @returns {Promise<void>}
+   */
+  async unmountLevels(fromIndex = 0, { keepAlive = true } = {}) {
+    while (this.renderedChain.length > fromIndex) {
+      const level = this.renderedChain.pop();
+      const config = this.routeConfig.get(level.pattern);
+
+      if (keepAlive && config && config.keepAlive && !level.replaced) {
+        await this.deactivateLevel(level, config);
+        continue;
+      }
+
+      if (config && config.onUnmount) {
+        try {
+          await config.onUnmount(level.container);
+        } catch (error) {
+          console.error('Error unmounting page:', error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Detach the DOM of a keep-alive level and store it in the keep-alive cache
+   * The cache may exceed config.keepAliveMax until trimKeepAliveCache runs.
+   * @param {Object} level - Rendered level { pattern, cacheKey, container, context }
+   * @param {Object} config - Route configuration of the level
+   * @returns {Promise<void>}
+   */
+  async deactivateLevel(level, config) {
+    if (config.onDeactivate) {
+      try {
+        await config.onDeactivate(level.container, level.context);
+      } catch (error) {
+        console.error('Error deactivating page:', error);
+      }
+    }
+
+    const fragment = document.createDocumentFragment();
+    fragment.append(...level.container.childNodes);
+
+    // A page left twice under the same key (e.g. after an error) replaces its older copy
+    await this.evictKeepAliveEntry(level.cacheKey, { force: true });
+    this.keepAliveCache.set(level.cacheKey, {
+      pattern: level.pattern,
+      fragment,
+      context: level.context
+    });
+  }
+
+  /**
+   * Evict the least recently used kept-alive pages beyond config.keepAliveMax
+   * Runs once a navigation has reattached the pages it reuses. Pages holding
+   * unsaved changes are kept even beyond the limit.
+   * @returns {Promise<void>}
+   */
+  async trimKeepAliveCache() {
+    for (const cacheKey of Array.from(this.keepAliveCache.keys())) {
+      if (this.keepAliveCache.size <= this.config.keepAliveMax) {
+        break;
+      }
+      await this.evictKeepAliveEntry(cacheKey);
+    }
+  }
+
+  /**
+   * Drop kept-alive pages so that the next visit renders them again
+   * Pages holding unsaved changes are kept.
+   * @param {string} [target] - Route location whose pages are dropped; every page when omitted
+   * @returns {Promise<void>}
+   */
+  async evictKeepAlive(target) {
+    if (target === undefined) {
+      for (const cacheKey of Array.from(this.keepAliveCache.keys())) {
+        await this.evictKeepAliveEntry(cacheKey);
+      }
+      return;
+    }
+
+    const route = this.resolve(target);
+
+    for (const pattern of this.getRouteChain(route.pattern)) {
+      await this.evictKeepAliveEntry(this.getLoaderKey(pattern, route));
+    }
+  }
+
+  /**
+   * Check whether a kept-alive page holds unsaved changes, i.e. its leave guard
+   * does not allow discarding it (see askToDiscard)
+   * @param {Object} entry - Keep-alive cache entry { pattern, fragment }
+   * @returns {Promise<boolean>}
+   */
+  async hasUnsavedChanges(entry) {
+    return (await this.askToDiscard(entry.pattern, entry.fragment)) !== true;
+  }
+
+  /**
+   * Remove an entry from the keep-alive cache and call the page's onUnmount hook
+   * with the detached content
+   * An entry holding unsaved changes is only removed with { force: true }.
+   * @param {string} cacheKey - Keep-alive cache key
+   * @param {Object} options - { force: true } to remove the entry regardless
+   * @returns {Promise<void>}
+   */
+  async evictKeepAliveEntry(cacheKey, { force = false } = {}) {
+    const entry = this.keepAliveCache.get(cacheKey);
+
+    if (!entry || (!force && await this.hasUnsavedChanges(entry))) {
+      return;
+    }
+
+    this.keepAliveCache.delete(cacheKey);
+
+    const config = this.routeConfig.get(entry.pattern);
+    if (config && config.onUnmount) {
+      try {
+        await config.onUnmount(entry.fragment);
+      } catch (error) {
+        console.error('Error unmounting page:', error);
       }
     }
   }
 
   /**
    * Run route guards
+   * A guard returns true to allow navigation, false to block it, or a redirect
+   * such as { redirect: { name: 'login' }, query: { returnTo: route.url } }.
    * @param {string} path - Route path
-   * @returns {Promise<boolean>} Can navigate to route
+   * @param {Object} route - Resolved route context (params and query are available to guards)
+   * @returns {Promise<boolean|Object>} true, or the blocking guard result (false or a redirect)
    */
-  async runGuards(path) {
-    const config = this.getRouteConfig(path);
+  async runGuards(path, route = this.resolve(path)) {
+    const chain = this.getRouteChain(route.pattern);
 
-    if (!config || !config.guards || config.guards.length === 0) {
-      return true;
+    // Global guards see the configuration of the route being opened
+    const checks = this.globalGuards
+      .filter(({ appliesTo }) => !appliesTo || appliesTo(route.pattern))
+      .map(({ guard }) => [guard, this.routeConfig.get(chain[chain.length - 1])]);
+
+    // Guards of parent layouts also protect their child routes
+    for (const pattern of chain) {
+      const config = this.routeConfig.get(pattern);
+      config.guards.forEach(guard => checks.push([guard, config]));
     }
 
-    for (const guard of config.guards) {
-      const canProceed = await guard(path, config);
+    for (const [guard, config] of checks) {
+      const result = await guard(path, config, route);
+
+      if (result && result.redirect) {
+        return result;
+      }
 
-      if (!canProceed) {
+      if (!result) {
         console.warn(`Route guard blocked navigation to "${path}"`);
         return false;
       }
@@ -130,6 +1798,44 @@ export class EnhancedRoutes {
     return true;
   }
 
+  /**
+   * Check whether a route is protected by guards or requires authentication
+   * Parent layouts count too, since their guards also protect child routes, and
+   * so do global guards (addGuard) whose appliesTo accepts the route.
+   * Lazy route modules must be loaded first, or their guards are not known yet.
+   * @param {string} pattern - Route pattern
+   * @returns {boolean}
+   */
+  isGuarded(pattern) {
+    if (this.globalGuards.some(({ appliesTo }) => appliesTo && appliesTo(pattern))) {
+      return true;
+    }
+
+    return this.getRouteChain(pattern).some((chainPattern) => {
+      const config = this.routeConfig.get(chainPattern);
+      return config.requiresAuth || config.guards.length > 0;
+    });
+  }
+
+  /**
+   * Add a guard that runs before the routes' own guards
+   * Without appliesTo the guard runs for every route but does not count as
+   * protecting any (suitable for guards that only observe navigations). A guard
+   * that blocks or redirects declares the routes it protects with appliesTo, so
+   * that isGuarded (prefetching, the sitemap) knows about them.
+   * @param {Function} guard - Guard receiving (path, config, route), see runGuards
+   * @param {Object} options - { appliesTo(pattern) }: whether the guard runs for a route pattern
+   * @returns {Function} Function that removes the guard again
+   */
+  addGuard(guard, { appliesTo = null } = {}) {
+    const entry = { guard, appliesTo };
+    this.globalGuards.push(entry);
+
+    return () => {
+      this.globalGuards = this.globalGuards.filter(existing => existing !== entry);
+    };
+  }
+
   /**
    * Show loading state
    * @param {HTMLElement} container - Container element
@@ -145,20 +1851,29 @@ export class EnhancedRoutes {
 
   /**
    * Get error page content
+   * Error details are only shown (escaped) in development mode.
    * @param {Error} error - Error object
+   * @param {string} errorId - Error id from reportError
    * @returns {string} Error page HTML
    */
-  getErrorPageContent(error) {
+  getErrorPageContent(error, errorId) {
+    const details = this.config.errorMode === 'development'
+      ? `
+        <details>
+          <summary>Error details</summary>
+          <pre>${escapeHTML(error && error.message)}</pre>
+          ${error && error.stack ? `<pre>${escapeHTML(error.stack)}</pre>` : ''}
+        </details>`
+      : '';
+
     return `
       <div class="error-container" role="alert">
         <h1>Something went wrong</h1>
-        <p>We encountered an error while loading this page.</p>
-        <details>
-          <summary>Error details</summary>
-          <pre>${error.message}</pre>
-          ${error.stack ? `<pre>${error.stack}</pre>` : ''}
-        </details>
-        <button onclick="location.reload()">Reload Page</button>
+        <p>We encountered an error while loading this page. Please try again.</p>
+        ${errorId ? `<p class="error-id">Error ID: <code>${escapeHTML(errorId)}</code></p>` : ''}
+        ${details}
+        <button type="button" class="btn" data-action="retry">Retry</button>
+        <button type="button" class="btn btn-secondary" data-action="back">Go Back</button>
       </div>
     `;
   }
@@ -169,30 +1884,76 @@ export class EnhancedRoutes {
    * @returns {boolean}
    */
   hasRoute(path) {
-    return this.pages.has(path);
+    return this.matchRoute(path) !== null;
+  }
+
+  /**
+   * Register a page (or lazy route entry, with its children) after the router
+   * was created, e.g. from a plugin
+   * @param {Object} instanceClassPage - Page instance or lazy route entry, see registerPage
+   * @throws {Error} If the page's route name is already taken
+   */
+  addPage(instanceClassPage) {
+    this.registerPage(instanceClassPage);
+    this.updateRouteLinks();
   }
 
   /**
    * Register a new route dynamically
-   * @param {string} path - Route path
-   * @param {Function} getContentFunction - Function that returns page content
-   * @param {Object} config - Route configuration
+   * @param {string} path - Route path or pattern (e.g. 'products/:id')
+   * @param {Function} getContentFunction - Function receiving (params, route) that returns page content
+   * @param {Object} config - Route configuration; config.name makes the route available to url()
    */
   registerRoute(path, getContentFunction, config = {}) {
+    path = normalizePath(path);
+
+    if (config.name && this.routeNames.has(config.name) && this.routeNames.get(config.name) !== path) {
+      throw new Error(`Route name "${config.name}" is already used by "${this.routeNames.get(config.name)}"`);
+    }
+
     this.pages.set(path, getContentFunction);
-    this.routeConfig.set(path, {
+    this.addMatcher(path);
+    this.routeConfig.set(path, this.createRouteConfig(config));
+
+    if (config.name) {
+      this.routeNames.set(config.name, path);
+    }
+  }
+
+  /**
+   * Normalize a route configuration, filling in defaults
+   * @param {Object} config - Route configuration
+   * @returns {Object} Normalized route configuration
+   */
+  createRouteConfig(config = {}) {
+    return {
       title: config.title || 'Page',
       description: config.description || '',
       requiresAuth: config.requiresAuth || false,
       guards: config.guards || [],
       meta: config.meta || {},
-      seoConfig: config.seoConfig || null
-    });
+      seoConfig: config.seoConfig || null,
+      breadcrumb: config.breadcrumb || null,
+      breadcrumbParent: config.breadcrumbParent || null,
+      name: config.name || null,
+      onMount: config.onMount || null,
+      onUnmount: config.onUnmount || null,
+      keepAlive: config.keepAlive === true,
+      onActivate: config.onActivate || null,
+      onDeactivate: config.onDeactivate || null,
+      canLeave: config.canLeave || null,
+      errorContent: config.errorContent || null,
+      transition: config.transition !== false,
+      loader: config.loader || null,
+      cache: config.cache || {},
+      parent: config.parent !== undefined && config.parent !== null ? normalizePath(config.parent) : null,
+      outlet: config.outlet || ''
+    };
   }
 
   /**
    * Get all registered routes
-   * @returns {Array<string>} Array of route paths
+   * @returns {Array<string>} Array of route paths and patterns
    */
   getAllRoutes() {
     return Array.from(this.pages.keys());
@@ -207,17 +1968,20 @@ export const RouteGuards = {
    * Authentication guard
    * @param {string} path - Route path
    * @param {Object} config - Route config
-   * @returns {boolean}
+   * @param {Object} route - Resolved route context
+   * @returns {boolean|Object} true, or a redirect to the login page
    */
-  authGuard: (path, config) => {
+  authGuard: (path, config, route) => {
     if (config.requiresAuth) {
       // Check if user is authenticated
-      const isAuthenticated = sessionStorage.getItem('isAuthenticated') === 'true';
+      const isAuthenticated = sessionStorage.getItem(STORAGE_KEYS.IS_AUTHENTICATED) === 'true';
 
       if (!isAuthenticated) {
-        // Redirect to login
-        window.history.pushState({ page: 'login' }, '', '/login');
-        return false;
+        // Redirect to login, remembering where the user wanted to go
+        return {
+          redirect: { name: ROUTES.LOGIN },
+          query: { returnTo: route ? route.url : `/${path}` }
+        };
       }
     }
 
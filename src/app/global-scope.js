@@ -1,32 +1,88 @@
 import { EnhancedRoutes } from './enhanced-routes.js';
 import { SEOManager } from '../utils/seo-manager.js';
+import { PluginManager } from './plugin-manager.js';
+import { plugins } from '../plugins/index.js';
+import { Store } from '../store/store.js';
+import { navigationSlice } from '../store/slices/navigation.js';
+import { sessionSlice } from '../store/slices/session.js';
+import { Breadcrumbs } from '../components/Breadcrumbs/Breadcrumbs.js';
+import { AnalyticsService, BeaconAnalyticsAdapter, ConsoleAnalyticsAdapter } from '../services/analytics-service.js';
 import { Home } from '../pages/home/home.js';
 import { NotFound } from '../pages/not-found/not-found.js';
-import { CatFact } from '../pages/cat-fact/cat-fact.js';
-import { ContactForm } from '../pages/contact-form/contact-form.js';
-import { Example } from '../pages/example/example.js';
+import { Settings } from '../pages/settings/settings.js';
+import { ANALYTICS_CONFIG, DOM_IDS, ENVIRONMENT, PLUGINS_CONFIG, ROUTER_CONFIG, ROUTES, STORAGE_KEYS } from '../config/constants.js';
+
+// Shared application state; the session slice survives reloads of this tab
+const store = new Store({
+    slices: {
+        navigation: navigationSlice,
+        session: sessionSlice
+    },
+    persist: { key: STORAGE_KEYS.APP_STORE, storage: 'session', slices: ['session'] },
+    devLog: ENVIRONMENT.CURRENT_ENV === 'development'
+});
 
 // Initialize SEO Manager
-const seoManager = new SEOManager();
+const seoManager = new SEOManager({
+    baseUrl: `${window.location.origin}${ROUTER_CONFIG.BASE_PATH}`
+});
+
+// Breadcrumb trail shown above the page content
+const breadcrumbs = new Breadcrumbs();
 
 // Configure routes with SEO integration
 const routes = new EnhancedRoutes(
     [
         new Home(),
-        new CatFact(),
-        new ContactForm(),
-        new Example(),
+        // Lazy pages: the module is fetched and the page constructed on first visit
+        {
+            name: ROUTES.CAT_FACT,
+            paths: ['cat-fact'],
+            load: () => import('../pages/cat-fact/cat-fact.js'),
+            exportName: 'CatFact'
+        },
+        {
+            name: ROUTES.CONTACT_FORM,
+            paths: ['contact-form'],
+            load: () => import('../pages/contact-form/contact-form.js'),
+            exportName: 'ContactForm'
+        },
+        {
+            name: ROUTES.LOGIN,
+            paths: ['login'],
+            load: () => import('../pages/login/login.js'),
+            exportName: 'Login'
+        },
+        new Settings(),
         new NotFound()
     ],
     {
+        mode: ROUTER_CONFIG.MODE,
+        basePath: ROUTER_CONFIG.BASE_PATH,
+        transitions: true,
+        prefetch: true,
         // Hook to update SEO tags after navigation
-        onAfterNavigate: async (path) => {
+        onAfterNavigate: async (path, route) => {
             const routeConfig = routes.getRouteConfig(path);
 
             if (routeConfig && routeConfig.seoConfig) {
-                seoManager.updateMetaTags(routeConfig.seoConfig);
-                seoManager.generateWebPageSchema(routeConfig.seoConfig);
+                const seoConfig = { ...routeConfig.seoConfig, url: routes.getCanonicalUrl(route) };
+                seoManager.updateMetaTags(seoConfig);
+                seoManager.generateWebPageSchema(seoConfig);
             }
+
+            // Breadcrumb UI and BreadcrumbList structured data
+            const trail = routes.getBreadcrumbs(route);
+            const breadcrumbsContainer = document.getElementById(DOM_IDS.BREADCRUMBS);
+            if (breadcrumbsContainer && !breadcrumbs.element) {
+                breadcrumbs.props.items = trail;
+                breadcrumbs.mount(breadcrumbsContainer);
+            } else {
+                breadcrumbs.setProps({ items: trail });
+            }
+            seoManager.generateBreadcrumbs(
+                trail.length > 1 ? trail.map(crumb => ({ name: crumb.name, url: crumb.href })) : []
+            );
         },
         // Error handler
         onError: (error, path) => {
@@ -35,8 +91,28 @@ const routes = new EnhancedRoutes(
     }
 );
 
+// Feature plugins contribute their own routes, navigation links and guards
+const app = new PluginManager({
+    routes: routes,
+    seoManager: seoManager,
+    navElement: document.getElementById(DOM_IDS.MAIN_NAV),
+    enabled: PLUGINS_CONFIG.ENABLED
+});
+plugins.forEach(plugin => app.use(plugin));
+
+// Record page views (logged in development, sent to the endpoint in production)
+const analytics = new AnalyticsService({
+    adapter: ENVIRONMENT.CURRENT_ENV === 'development'
+        ? new ConsoleAnalyticsAdapter()
+        : ANALYTICS_CONFIG.ENDPOINT ? new BeaconAnalyticsAdapter(ANALYTICS_CONFIG.ENDPOINT) : null
+});
+analytics.connect(routes);
+
 export const globalScope = {
-    count: -1,
+    store: store,
     routes: routes,
-    seoManager: seoManager
+    seoManager: seoManager,
+    breadcrumbs: breadcrumbs,
+    analytics: analytics,
+    app: app
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * Loader Cache - Caches route loader results with max-age and stale-while-revalidate
+ *
+ * - Younger than maxAge: the cached data is returned as is.
+ * - Older than maxAge but within staleWhileRevalidate: the cached (stale) data is
+ *   returned at once and fresh data is loaded in the background.
+ * - Older than that, or not cached: the loader runs and its result is awaited.
+ *
+ * Concurrent loads of the same key share one request. Failed loads are not cached.
+ */
+export class LoaderCache {
+  /**
+   * @param {Object} options - { maxAge, staleWhileRevalidate } in milliseconds
+   */
+  constructor({ maxAge = 0, staleWhileRevalidate = 0 } = {}) {
+    this.maxAge = maxAge;
+    this.staleWhileRevalidate = staleWhileRevalidate;
+    this.entries = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Get data for a key, from the cache or by running the loader
+   * @param {string} key - Cache key (e.g. route pattern and URL)
+   * @param {Function} loader - Function receiving an AbortSignal (or null) and returning the data
+   * @param {Object} options - { maxAge, staleWhileRevalidate, signal, onRevalidate }
+   *   onRevalidate(key, data) is called when a background refresh completes
+   * @returns {Promise<*>} Loaded data
+   */
+  async load(key, loader, options = {}) {
+    const maxAge = options.maxAge !== undefined ? options.maxAge : this.maxAge;
+    const staleWhileRevalidate = options.staleWhileRevalidate !== undefined
+      ? options.staleWhileRevalidate
+      : this.staleWhileRevalidate;
+    const entry = this.entries.get(key);
+    const age = entry ? Date.now() - entry.loadedAt : Infinity;
+
+    if (age <= maxAge) {
+      return entry.data;
+    }
+
+    if (age <= maxAge + staleWhileRevalidate) {
+      this.revalidateInBackground(key, loader, options.onRevalidate);
+      return entry.data;
+    }
+
+    return this.fetch(key, loader, options.signal || null);
+  }
+
+  /**
+   * Run the loader for a key, sharing a request that is already in flight
+   * A pending request whose signal was aborted is not shared.
+   * @param {string} key - Cache key
+   * @param {Function} loader - Loader function
+   * @param {AbortSignal|null} signal - Signal aborting the request
+   * @returns {Promise<*>} Loaded data
+   */
+  fetch(key, loader, signal) {
+    const pending = this.pending.get(key);
+
+    if (pending && !(pending.signal && pending.signal.aborted)) {
+      return pending.promise;
+    }
+
+    const promise = Promise.resolve()
+      .then(() => loader(signal))
+      .then((data) => {
+        this.set(key, data);
+        return data;
+      })
+      .finally(() => {
+        if (this.pending.get(key) && this.pending.get(key).promise === promise) {
+          this.pending.delete(key);
+        }
+      });
+
+    this.pending.set(key, { promise, signal });
+    return promise;
+  }
+
+  /**
+   * Refresh a stale entry without making the caller wait
+   * @param {string} key - Cache key
+   * @param {Function} loader - Loader function
+   * @param {Function} onRevalidate - Called with (key, data) once fresh data is cached
+   */
+  revalidateInBackground(key, loader, onRevalidate) {
+    if (this.pending.has(key)) {
+      return;
+    }
+
+    this.fetch(key, loader, null)
+      .then((data) => {
+        if (onRevalidate) {
+          onRevalidate(key, data);
+        }
+      })
+      .catch((error) => {
+        console.warn(`Background revalidation of "${key}" failed:`, error);
+      });
+  }
+
+  /**
+   * Store data for a key
+   * @param {string} key - Cache key
+   * @param {*} data - Data to cache
+   */
+  set(key, data) {
+    this.entries.set(key, { data, loadedAt: Date.now() });
+  }
+
+  /**
+   * Check whether a key has cached data (fresh or stale)
+   * @param {string} key - Cache key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Drop cached data so the next load runs the loader again
+   * @param {string|Function} keyOrPredicate - Key, or function selecting the keys to drop
+   */
+  invalidate(keyOrPredicate) {
+    if (typeof keyOrPredicate !== 'function') {
+      this.entries.delete(keyOrPredicate);
+      return;
+    }
+
+    for (const key of Array.from(this.entries.keys())) {
+      if (keyOrPredicate(key)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Drop all cached data
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
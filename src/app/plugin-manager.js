@@ -0,0 +1,185 @@
+/**
+ * Plugin Manager - Lets feature modules extend the app without editing global-scope.js
+ *
+ * A plugin is a plain object:
+ * {
+ *   name: 'blog',                        // Unique name, used for dependencies and configuration
+ *   dependencies: ['auth'],              // Plugins that must be installed first
+ *   pages: [new BlogPage(), { paths, load, exportName }],  // Pages or lazy route entries
+ *   navItems: [{ route: 'blog', label: 'Blog' }],          // Links added to the main navigation
+ *   guards: [(path, config, route) => true],               // Guards run for every route, or
+ *                                        // { guard, appliesTo: pattern => ... } for some (see addGuard)
+ *   seo: { siteName: 'My Blog' },        // SEO defaults, see SEOManager.setDefaults
+ *   components: { BlogCard },            // Components other modules can look up by name
+ *   setup(context) {}                    // Called last with { app, routes, seoManager }
+ * }
+ *
+ * A plugin whose dependencies are not installed yet waits for them and is
+ * installed as soon as they are. Plugins can be switched off in configuration
+ * (see PLUGINS_CONFIG); plugins depending on a disabled plugin are skipped too.
+ */
+export class PluginManager {
+  /**
+   * @param {Object} options - { routes, seoManager, navElement, enabled }
+   *   enabled: map of plugin name to false (disable) or true (enable); unlisted plugins are enabled
+   */
+  constructor({ routes, seoManager, navElement = null, enabled = {} }) {
+    this.routes = routes;
+    this.seoManager = seoManager;
+    this.navElement = navElement;
+    this.enabled = enabled;
+    this.plugins = new Map();
+    this.pending = new Map();
+    this.components = new Map();
+  }
+
+  /**
+   * Install a plugin, or queue it until its dependencies are installed
+   * @param {Object} plugin - Plugin object
+   * @returns {PluginManager} The manager, so calls can be chained
+   * @throws {Error} If the plugin has no name or its name is already used
+   */
+  use(plugin) {
+    if (!plugin || !plugin.name) {
+      throw new Error('Plugins must have a name');
+    }
+
+    if (this.plugins.has(plugin.name) || this.pending.has(plugin.name)) {
+      throw new Error(`Plugin "${plugin.name}" is already registered`);
+    }
+
+    if (!this.isEnabled(plugin.name)) {
+      console.info(`Plugin "${plugin.name}" is disabled`);
+      return this;
+    }
+
+    const disabledDependency = (plugin.dependencies || []).find(name => !this.isEnabled(name));
+    if (disabledDependency) {
+      console.warn(`Plugin "${plugin.name}" was skipped: it depends on disabled plugin "${disabledDependency}"`);
+      return this;
+    }
+
+    this.pending.set(plugin.name, plugin);
+    this.installPending();
+    return this;
+  }
+
+  /**
+   * Check whether configuration allows a plugin
+   * @param {string} name - Plugin name
+   * @returns {boolean}
+   */
+  isEnabled(name) {
+    return this.enabled[name] !== false;
+  }
+
+  /**
+   * Check whether a plugin is installed
+   * @param {string} name - Plugin name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.plugins.has(name);
+  }
+
+  /**
+   * Install every queued plugin whose dependencies are installed
+   */
+  installPending() {
+    let installed = true;
+
+    while (installed) {
+      installed = false;
+
+      for (const [name, plugin] of this.pending) {
+        if ((plugin.dependencies || []).every(dependency => this.plugins.has(dependency))) {
+          this.pending.delete(name);
+          this.install(plugin);
+          installed = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Register everything a plugin contributes
+   * @param {Object} plugin - Plugin object whose dependencies are installed
+   */
+  install(plugin) {
+    for (const page of plugin.pages || []) {
+      this.routes.addPage(page);
+    }
+
+    for (const guard of plugin.guards || []) {
+      if (typeof guard === 'function') {
+        this.routes.addGuard(guard);
+      } else {
+        this.routes.addGuard(guard.guard, { appliesTo: guard.appliesTo });
+      }
+    }
+
+    if (plugin.seo) {
+      this.seoManager.setDefaults(plugin.seo);
+    }
+
+    for (const [name, component] of Object.entries(plugin.components || {})) {
+      if (this.components.has(name)) {
+        console.warn(`Component "${name}" of plugin "${plugin.name}" replaces an existing component`);
+      }
+      this.components.set(name, component);
+    }
+
+    this.addNavItems(plugin.navItems || []);
+    this.plugins.set(plugin.name, plugin);
+
+    if (plugin.setup) {
+      plugin.setup({ app: this, routes: this.routes, seoManager: this.seoManager });
+    }
+  }
+
+  /**
+   * Add links to named routes to the main navigation
+   * @param {Array<Object>} navItems - Items { route, label, params, query }
+   */
+  addNavItems(navItems) {
+    if (!this.navElement || navItems.length === 0) {
+      return;
+    }
+
+    for (const item of navItems) {
+      const link = document.createElement('a');
+      link.dataset.route = item.route;
+      link.textContent = item.label;
+
+      if (item.params) {
+        link.dataset.params = JSON.stringify(item.params);
+      }
+      if (item.query) {
+        link.dataset.query = JSON.stringify(item.query);
+      }
+
+      // Plugin links go before external links such as the full-page contact form
+      this.navElement.insertBefore(link, this.navElement.querySelector('[data-external]'));
+    }
+
+    this.routes.updateRouteLinks(this.navElement);
+    this.routes.updateActiveLinks();
+  }
+
+  /**
+   * Get a component registered by a plugin
+   * @param {string} name - Component name
+   * @returns {Function|undefined} Component class
+   */
+  getComponent(name) {
+    return this.components.get(name);
+  }
+
+  /**
+   * Get the names of plugins still waiting for dependencies
+   * @returns {Array<string>}
+   */
+  getPendingPlugins() {
+    return Array.from(this.pending.keys());
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * Prefetcher - Warms route modules and loader data before a link is followed
+ *
+ * A link is prefetched when the pointer rests on it, when it receives focus or
+ * a touch, or when it scrolls into view. Hover, focus and touch go to the front
+ * of the queue; links entering the viewport go to the back. At most
+ * `concurrency` prefetches run at once, and nothing is prefetched while the
+ * user has asked to save data or is on a 2G connection.
+ *
+ * The work itself is done by router.prefetch(), which fills the same module
+ * and loader caches the navigation reads from.
+ *
+ * Links opt out with data-prefetch="false" (data-external links are skipped too).
+ */
+export class Prefetcher {
+  /**
+   * @param {Object} router - EnhancedRoutes instance
+   * @param {Object} options - { concurrency, hoverDelay (ms), rootMargin (viewport margin) }
+   */
+  constructor(router, { concurrency = 2, hoverDelay = 65, rootMargin = '200px' } = {}) {
+    this.router = router;
+    this.concurrency = concurrency;
+    this.hoverDelay = hoverDelay;
+    this.rootMargin = rootMargin;
+    this.queue = [];
+    this.pending = new Set();
+    this.active = 0;
+    this.hoverLink = null;
+    this.hoverTimer = null;
+    this.observer = null;
+    this.root = null;
+    this.handleMouseOver = this.handleMouseOver.bind(this);
+    this.handleMouseOut = this.handleMouseOut.bind(this);
+    this.handleIntent = this.handleIntent.bind(this);
+  }
+
+  /**
+   * Start prefetching links inside a root element
+   * @param {Document|HTMLElement} root - Element whose links are prefetched
+   */
+  connect(root = document) {
+    if (this.root) {
+      this.disconnect();
+    }
+
+    this.root = root;
+    root.addEventListener('mouseover', this.handleMouseOver);
+    root.addEventListener('mouseout', this.handleMouseOut);
+    root.addEventListener('focusin', this.handleIntent);
+    root.addEventListener('touchstart', this.handleIntent, { passive: true });
+
+    if (typeof window.IntersectionObserver === 'function') {
+      this.observer = new window.IntersectionObserver(
+        entries => this.handleIntersections(entries),
+        { rootMargin: this.rootMargin }
+      );
+    }
+
+    this.observeLinks();
+  }
+
+  /**
+   * Stop prefetching; requests already running are left to finish
+   */
+  disconnect() {
+    if (!this.root) {
+      return;
+    }
+
+    this.root.removeEventListener('mouseover', this.handleMouseOver);
+    this.root.removeEventListener('mouseout', this.handleMouseOut);
+    this.root.removeEventListener('focusin', this.handleIntent);
+    this.root.removeEventListener('touchstart', this.handleIntent);
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    this.cancelHover();
+    this.queue = [];
+    this.root = null;
+  }
+
+  /**
+   * Watch the links currently in the document for viewport entry
+   * Called after every render; links that were removed are no longer watched.
+   */
+  observeLinks() {
+    if (!this.observer) {
+      return;
+    }
+
+    this.observer.disconnect();
+    this.root.querySelectorAll('a[href]').forEach((link) => {
+      if (this.getLinkLocation(link) !== null) {
+        this.observer.observe(link);
+      }
+    });
+  }
+
+  /**
+   * Queue a route location for prefetching
+   * @param {string} location - Route location (e.g. 'cat-fact?lang=en')
+   * @param {Object} options - { priority: true } to run it before viewport prefetches
+   */
+  prefetch(location, { priority = false } = {}) {
+    const key = location.split('#')[0];
+
+    if (!this.canPrefetch() || this.pending.has(key)) {
+      return;
+    }
+
+    this.pending.add(key);
+    if (priority) {
+      this.queue.unshift(key);
+    } else {
+      this.queue.push(key);
+    }
+    this.drain();
+  }
+
+  /**
+   * Start queued prefetches up to the concurrency limit
+   */
+  drain() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const key = this.queue.shift();
+      this.active++;
+
+      this.router.prefetch(key)
+        .catch((error) => {
+          console.warn(`Prefetching "${key}" failed:`, error);
+        })
+        .finally(() => {
+          this.pending.delete(key);
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Check whether the connection allows prefetching
+   * @returns {boolean}
+   */
+  canPrefetch() {
+    const connection = navigator.connection;
+
+    if (!connection) {
+      return true;
+    }
+
+    return !connection.saveData && !/2g/.test(connection.effectiveType || '');
+  }
+
+  /**
+   * Get the route location a link points to, if it can be prefetched
+   * @param {HTMLAnchorElement} link - Link element
+   * @returns {string|null} Route location, or null for links the router does not handle
+   */
+  getLinkLocation(link) {
+    if (link.hasAttribute('download') || link.hasAttribute('data-external') ||
+        link.dataset.prefetch === 'false') {
+      return null;
+    }
+
+    const target = link.getAttribute('target');
+    if (target && target !== '_self') {
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(link.getAttribute('href'), window.location.href);
+    } catch {
+      return null;
+    }
+
+    // Other origins and URLs outside the app's base path are not routes
+    const location = this.router.getLocationFromUrl(url);
+    if (location === null || this.router.isCurrentPage(location)) {
+      return null;
+    }
+
+    return location;
+  }
+
+  /**
+   * Prefetch the route a link points to
+   * @param {HTMLAnchorElement} link - Link element
+   * @param {Object} options - Options passed to prefetch()
+   */
+  prefetchLink(link, options) {
+    const location = this.getLinkLocation(link);
+
+    if (location !== null) {
+      this.prefetch(location, options);
+    }
+  }
+
+  /**
+   * Prefetch a link once the pointer has rested on it for hoverDelay
+   * @param {MouseEvent} event - mouseover event
+   */
+  handleMouseOver(event) {
+    const link = event.target.closest('a[href]');
+
+    if (!link || link === this.hoverLink) {
+      return;
+    }
+
+    this.cancelHover();
+    this.hoverLink = link;
+    this.hoverTimer = setTimeout(() => {
+      this.hoverTimer = null;
+      this.prefetchLink(link, { priority: true });
+    }, this.hoverDelay);
+  }
+
+  /**
+   * Cancel a pending hover prefetch when the pointer leaves the link
+   * @param {MouseEvent} event - mouseout event
+   */
+  handleMouseOut(event) {
+    if (this.hoverLink && !this.hoverLink.contains(event.relatedTarget)) {
+      this.cancelHover();
+    }
+  }
+
+  /**
+   * Prefetch a link right away on focus or touch
+   * @param {Event} event - focusin or touchstart event
+   */
+  handleIntent(event) {
+    const link = event.target.closest && event.target.closest('a[href]');
+
+    if (link) {
+      this.prefetchLink(link, { priority: true });
+    }
+  }
+
+  /**
+   * Prefetch links that scrolled into view
+   * @param {Array<IntersectionObserverEntry>} entries - Observer entries
+   */
+  handleIntersections(entries) {
+    for (const entry of entries) {
+      if (entry.isIntersecting) {
+        this.observer.unobserve(entry.target);
+        this.prefetchLink(entry.target);
+      }
+    }
+  }
+
+  /**
+   * Clear the pending hover prefetch
+   */
+  cancelHover() {
+    clearTimeout(this.hoverTimer);
+    this.hoverTimer = null;
+    this.hoverLink = null;
+  }
+}
@@ -0,0 +1,181 @@
+import { parseQuery } from '../utils/query-string.js';
+
+/**
+ * Route Matcher - Compiles route patterns and matches paths against them
+ *
+ * Supported pattern syntax (segments are separated by "/"):
+ * - Static segments:    'products'
+ * - Named params:       'products/:id'
+ * - Optional params:    'blog/:year/:slug?'
+ * - Named wildcards:    'docs/:rest*'  (matches the remaining path, may be empty)
+ * - Anonymous wildcard: 'files/*'      (exposed as params.wildcard)
+ */
+
+const PARAM_SEGMENT = /^:([A-Za-z_$][\w$]*)([?*])?$/;
+
+/**
+ * Normalize a path by removing leading and trailing slashes
+ * @param {string} path - Raw path (e.g. '/products/42/')
+ * @returns {string} Normalized path (e.g. 'products/42')
+ */
+export function normalizePath(path = '') {
+  return String(path).replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Split a location string into its normalized path, query object and hash
+ * @param {string} target - Location (e.g. '/cat-fact?lang=en#top')
+ * @returns {Object} Parsed location { pathname, query, hash }
+ */
+export function parseLocation(target = '') {
+  let rest = String(target);
+  let hash = '';
+
+  const hashIndex = rest.indexOf('#');
+  if (hashIndex !== -1) {
+    hash = rest.slice(hashIndex + 1);
+    rest = rest.slice(0, hashIndex);
+  }
+
+  const queryIndex = rest.indexOf('?');
+  const pathname = queryIndex === -1 ? rest : rest.slice(0, queryIndex);
+  const search = queryIndex === -1 ? '' : rest.slice(queryIndex);
+
+  return {
+    pathname: normalizePath(pathname),
+    query: parseQuery(search),
+    hash
+  };
+}
+
+/**
+ * Escape special regular expression characters
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a route pattern into a matcher
+ * @param {string} pattern - Route pattern (e.g. 'blog/:year/:slug')
+ * @returns {Object} Compiled matcher { pattern, regex, keys, isStatic }
+ */
+export function compilePath(pattern) {
+  const normalizedPattern = normalizePath(pattern);
+  const keys = [];
+  let source = '';
+
+  for (const segment of normalizedPattern.split('/')) {
+    if (segment === '') {
+      continue;
+    }
+
+    if (segment === '*') {
+      keys.push({ name: 'wildcard', optional: true, wildcard: true });
+      source += '(?:/(.*))?';
+      continue;
+    }
+
+    const paramMatch = segment.match(PARAM_SEGMENT);
+
+    if (!paramMatch) {
+      source += `/${escapeRegExp(segment)}`;
+      continue;
+    }
+
+    const [, name, modifier] = paramMatch;
+
+    if (modifier === '*') {
+      keys.push({ name, optional: true, wildcard: true });
+      source += '(?:/(.*))?';
+    } else if (modifier === '?') {
+      keys.push({ name, optional: true, wildcard: false });
+      source += '(?:/([^/]+))?';
+    } else {
+      keys.push({ name, optional: false, wildcard: false });
+      source += '/([^/]+)';
+    }
+  }
+
+  return {
+    pattern: normalizedPattern,
+    regex: new RegExp(`^${source}/?$`),
+    keys,
+    isStatic: keys.length === 0
+  };
+}
+
+/**
+ * Build a path from a route pattern by filling in its params
+ * @param {string} pattern - Route pattern (e.g. 'blog/:year/:slug?')
+ * @param {Object} params - Param values (e.g. { year: 2024, slug: 'hello' })
+ * @returns {string} Path with a leading slash (e.g. '/blog/2024/hello')
+ * @throws {Error} If a required param is missing
+ */
+export function generatePath(pattern, params = {}) {
+  const segments = [];
+
+  for (const segment of normalizePath(pattern).split('/')) {
+    if (segment === '') {
+      continue;
+    }
+
+    const paramMatch = segment === '*' ? [segment, 'wildcard', '*'] : segment.match(PARAM_SEGMENT);
+
+    if (!paramMatch) {
+      segments.push(segment);
+      continue;
+    }
+
+    const [, name, modifier] = paramMatch;
+    const value = params[name];
+
+    if (value === undefined || value === null || value === '') {
+      if (modifier) {
+        continue;
+      }
+      throw new Error(`Missing param "${name}" for route "${normalizePath(pattern)}"`);
+    }
+
+    // Wildcards may span several segments, so only the pieces between slashes are encoded
+    segments.push(modifier === '*'
+      ? String(value).split('/').map(encodeURIComponent).join('/')
+      : encodeURIComponent(value));
+  }
+
+  return `/${segments.join('/')}`;
+}
+
+/**
+ * Match a path against a compiled route pattern
+ * @param {Object} matcher - Matcher returned by compilePath
+ * @param {string} path - Path to match
+ * @returns {Object|null} Matched params, or null if the path does not match
+ */
+export function matchPath(matcher, path) {
+  const match = matcher.regex.exec(`/${normalizePath(path)}`);
+
+  if (!match) {
+    return null;
+  }
+
+  const params = {};
+
+  matcher.keys.forEach((key, index) => {
+    const value = match[index + 1];
+
+    if (value === undefined) {
+      return;
+    }
+
+    try {
+      params[key.name] = decodeURIComponent(value);
+    } catch {
+      params[key.name] = value;
+    }
+  });
+
+  return params;
+}
@@ -0,0 +1,47 @@
+import { Component } from '../Component.js';
+import { html } from '../../utils/html.js';
+
+/**
+ * Breadcrumbs Component
+ * Renders a breadcrumb trail; the last item is the current page.
+ * The trail is hidden while it has fewer than two items.
+ *
+ * @example
+ * const breadcrumbs = new Breadcrumbs({
+ *   items: [
+ *     { name: 'Home', href: '/home' },
+ *     { name: 'Settings', href: '/settings' }
+ *   ]
+ * });
+ * breadcrumbs.mount('#breadcrumbs');
+ */
+export class Breadcrumbs extends Component {
+  constructor(props = {}) {
+    super({
+      items: [],
+      label: 'breadcrumb',
+      ...props
+    });
+  }
+
+  render() {
+    const { items, label } = this.props;
+
+    const itemsHTML = items.map((item, index) => {
+      const isCurrent = index === items.length - 1;
+      const content = isCurrent
+        ? html`<span aria-current="page">${item.name}</span>`
+        : html`<a href="${item.href}">${item.name}</a>`;
+
+      return html`<li class="breadcrumbs-item">${content}</li>`;
+    });
+
+    return html`
+      <nav class="breadcrumbs" aria-label="${label}" data-component="breadcrumbs" ${items.length < 2 ? 'hidden' : ''}>
+        <ol class="breadcrumbs-list">
+          ${itemsHTML}
+        </ol>
+      </nav>
+    `;
+  }
+}
@@ -1,4 +1,5 @@
 import { Component } from '../Component.js';
+import { html } from '../../utils/html.js';
 
 /**
  * Button Component
@@ -13,6 +14,10 @@ import { Component } from '../Component.js';
  * btn.mount('#container');
  */
 export class Button extends Component {
+  events = {
+    click: 'handleClick'
+  };
+
   constructor(props = {}) {
     super({
       text: 'Button',
@@ -31,20 +36,23 @@ export class Button extends Component {
 
     if (disabled) classes.push('btn-disabled');
 
-    const iconHTML = icon ? `<span class="btn-icon">${icon}</span>` : '';
-    const disabledAttr = disabled ? ' disabled' : '';
+    const iconHTML = icon ? html`<span class="btn-icon">${icon}</span>` : '';
 
-    return `
-      <button class="${classes.join(' ')}" data-component="button"${disabledAttr}>
+    return html`
+      <button class="${classes}" data-component="button" ${disabled ? 'disabled' : ''}>
         ${iconHTML}
-        <span class="btn-text">${this.escapeHTML(text)}</span>
+        <span class="btn-text">${text}</span>
       </button>
     `;
   }
 
-  attachEventListeners() {
-    if (this.element && this.props.onClick && !this.props.disabled) {
-      this.element.addEventListener('click', this.props.onClick);
+  /**
+   * Forward clicks to the onClick prop unless the button is disabled
+   * @param {MouseEvent} event - Click event
+   */
+  handleClick(event) {
+    if (this.props.onClick && !this.props.disabled) {
+      this.props.onClick(event);
     }
   }
 }
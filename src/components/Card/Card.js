@@ -1,16 +1,25 @@
 import { Component } from '../Component.js';
+import { html } from '../../utils/html.js';
 
 /**
  * Card Component
  * Reusable card container for content
+ * content and footer are escaped unless they are html`` templates.
+ * The "body" and "footer" slots take components instead (they replace content and footer).
  *
  * @example
  * const card = new Card({
  *   title: 'Card Title',
- *   content: '<p>Card content here</p>',
- *   footer: '<button>Action</button>'
+ *   content: html`<p>Card content here</p>`,
+ *   footer: html`<button>Action</button>`
  * });
  * card.mount('#container');
+ *
+ * @example
+ * const card = new Card({
+ *   title: 'Tasks',
+ *   slots: { body: new List({ items }), footer: new Button({ text: 'Add' }) }
+ * });
  */
 export class Card extends Component {
   constructor(props = {}) {
@@ -29,30 +38,30 @@ export class Card extends Component {
     const { title, subtitle, content, footer, image, variant } = this.props;
     const classes = ['card', `card-${variant}`];
 
-    const imageHTML = image ? `
+    const imageHTML = image ? html`
       <div class="card-image">
-        <img src="${image}" alt="${this.escapeHTML(title)}" />
+        <img src="${image}" alt="${title}" />
       </div>
     ` : '';
 
-    const headerHTML = title || subtitle ? `
+    const headerHTML = title || subtitle ? html`
       <div class="card-header">
-        ${title ? `<h3 class="card-title">${this.escapeHTML(title)}</h3>` : ''}
-        ${subtitle ? `<p class="card-subtitle">${this.escapeHTML(subtitle)}</p>` : ''}
+        ${title ? html`<h3 class="card-title">${title}</h3>` : ''}
+        ${subtitle ? html`<p class="card-subtitle">${subtitle}</p>` : ''}
       </div>
     ` : '';
 
-    const footerHTML = footer ? `
-      <div class="card-footer">
+    const footerHTML = footer || this.hasSlot('footer') ? html`
+      <div class="card-footer" data-slot="footer">
         ${footer}
       </div>
     ` : '';
 
-    return `
-      <div class="${classes.join(' ')}" data-component="card">
+    return html`
+      <div class="${classes}" data-component="card">
         ${imageHTML}
         ${headerHTML}
-        <div class="card-content">
+        <div class="card-content" data-slot="body">
           ${content}
         </div>
         ${footerHTML}
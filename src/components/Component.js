@@ -1,6 +1,34 @@
+import { morph } from '../utils/dom-morph.js';
+import { escapeHTML } from '../utils/html.js';
+
+// Events that do not bubble are delegated in the capture phase
+const CAPTURED_EVENTS = ['focus', 'blur', 'mouseenter', 'mouseleave', 'load', 'error'];
+
 /**
  * Base Component Class
  * Provides a foundation for creating reusable UI components
+ *
+ * Child classes can declare an `events` map. Every entry is delegated from the
+ * component's root element, so it keeps working across updates without being
+ * re-attached:
+ *
+ * events = {
+ *   'click .list-item': 'handleItemClick',  // handler(event, matchedElement)
+ *   'input': (event) => {}                  // no selector: events on the root itself
+ * };
+ *
+ * All listeners are removed on unmount.
+ *
+ * Components can host other components in slots: elements marked with
+ * data-slot="name" in render(). getSlots() says which components fill which
+ * slot (by default the `slots` prop); the slot's own markup is the fallback
+ * shown while it is empty. Slotted components are mounted, moved and unmounted
+ * with the parent, and parent re-renders leave their DOM alone:
+ *
+ * new Card({ title: 'Tasks', slots: { body: list, footer: [saveButton, cancelButton] } });
+ *
+ * Shared state comes from a Store (src/store/store.js): connect(store, selector)
+ * merges the selection into this.state and re-renders when it changes.
  */
 export class Component {
   constructor(props = {}) {
@@ -8,6 +36,21 @@ export class Component {
     this.state = {};
     this.element = null;
     this._mounted = false;
+    this._listeners = null;
+    this._mountController = null;
+    this._slots = {};
+    this._children = new Set();
+    this._childCache = new Map();
+    this._connections = [];
+  }
+
+  /**
+   * Signal aborted when the component unmounts
+   * Pass it to fetch() or addEventListener() for work that should stop with the component.
+   * @returns {AbortSignal|null} Signal of the current mount, null while not mounted
+   */
+  get signal() {
+    return this._mountController ? this._mountController.signal : null;
   }
 
   /**
@@ -26,6 +69,8 @@ export class Component {
 
   /**
    * Lifecycle: Called before component is removed from DOM
+   * Runs on every unmount, including when the component is mounted again; if it
+   * throws, the error is logged and the component is still cleaned up.
    */
   onDestroy() {
     // Override in child classes
@@ -55,7 +100,8 @@ export class Component {
 
   /**
    * Render the component (must be implemented by child classes)
-   * @returns {string} HTML string
+   * Build the markup with the html`` template from utils/html.js, which escapes values.
+   * @returns {string|SafeHTML} HTML string
    */
   render() {
     throw new Error('Component must implement render() method');
@@ -74,33 +120,103 @@ export class Component {
       throw new Error(`Mount target not found: ${target}`);
     }
 
-    this.onCreate();
+    this.prepareMount();
     container.innerHTML = this.render();
-    this.element = container.firstElementChild;
+    this.setupMount(container.firstElementChild);
+  }
+
+  /**
+   * Mount component into an element, keeping the element's other children
+   * @param {HTMLElement} parent - Element to add the component to
+   * @param {Node|null} before - Child of parent to insert before; null appends
+   */
+  appendTo(parent, before = null) {
+    this.prepareMount();
+
+    const temp = document.createElement('div');
+    temp.innerHTML = this.render();
+    const element = temp.firstElementChild;
+
+    parent.insertBefore(element, before);
+    this.setupMount(element);
+  }
+
+  /**
+   * Get ready for the first render of a mount
+   */
+  prepareMount() {
+    // Mounting again tears the previous mount down first
+    if (this._mounted) {
+      this.unmount();
+    }
+
+    this.onCreate();
+
+    // The store may have changed while the component was not mounted
+    for (const { store, selector } of this._connections) {
+      this.state = { ...this.state, ...selector(store.getState()) };
+    }
+
+    this._slots = this.getSlots() || {};
+  }
+
+  /**
+   * Finish mounting once the root element is in place
+   * Slotted children are mounted before the parent's onMount runs.
+   * @param {HTMLElement} element - Root element
+   */
+  setupMount(element) {
+    this.element = element;
     this._mounted = true;
+    this._mountController = new AbortController();
+    this._connections.forEach(connection => this.watchConnection(connection));
+    this.delegateEvents();
+    this.mountSlots();
     this.attachEventListeners();
     this.onMount();
   }
 
   /**
    * Update component (re-render)
+   * The existing DOM is morphed toward the new markup rather than replaced, so
+   * focus, input state and scroll positions inside the component are kept.
    */
   update() {
     if (!this.element) return;
 
-    const parent = this.element.parentElement;
-    const oldElement = this.element;
+    this._slots = this.getSlots() || {};
 
     // Create temporary container for new content
     const temp = document.createElement('div');
     temp.innerHTML = this.render();
     const newElement = temp.firstElementChild;
 
-    // Replace old element with new one
-    parent.replaceChild(newElement, oldElement);
-    this.element = newElement;
+    // Slots that are now empty get their fallback back; take the children out
+    // first so the morph cannot patch them into fallback content
+    for (const child of this._children) {
+      const slotElement = child.element && child.element.parentElement;
+      if (slotElement && slotElement.hasAttribute('data-slot') && !this.hasSlot(slotElement.getAttribute('data-slot'))) {
+        child.element.remove();
+      }
+    }
+
+    // Patch the old element in place (replaced only if the root tag changed);
+    // filled slots belong to their child components and are not morphed
+    const oldElement = this.element;
+    this.element = morph(oldElement, newElement, {
+      skipChildren: (fromElement, toElement) => toElement.hasAttribute('data-slot') &&
+        this.hasSlot(toElement.getAttribute('data-slot'))
+    });
+
+    // Delegated events live on the root, so they only need binding to a new root
+    if (this.element !== oldElement) {
+      this.delegateEvents();
+    }
+
+    this.mountSlots();
 
-    // Reattach event listeners
+    // Reattach event listeners (elements survive the morph, so drop the old ones first)
+    this.resetListeners();
     this.attachEventListeners();
   }
 
@@ -108,21 +224,222 @@ export class Component {
    * Remove component from DOM
    */
   unmount() {
-    if (this.element) {
+    if (!this._mounted) {
+      return;
+    }
+
+    try {
       this.onDestroy();
+    } catch (error) {
+      console.error(`Error in ${this.constructor.name}.onDestroy:`, error);
+    }
+
+    this._children.forEach(child => child.unmount());
+    this._children.clear();
+    this._childCache.clear();
+
+    this.resetListeners();
+    this._mountController.abort();
+    this._mountController = null;
+
+    if (this.element) {
       this.element.remove();
-      this.element = null;
-      this._mounted = false;
+    }
+    this.element = null;
+    this._mounted = false;
+  }
+
+  /**
+   * Keep part of the component state in sync with a store
+   * Call it in the constructor. The selection is merged into this.state, and
+   * while the component is mounted it re-renders whenever the selection changes.
+   * @param {Store} store - Store instance
+   * @param {Function} selector - (storeState) => object of state values
+   * @returns {Component} The component, so calls can be chained
+   */
+  connect(store, selector) {
+    const connection = { store, selector };
+
+    this._connections.push(connection);
+    this.state = { ...this.state, ...selector(store.getState()) };
+
+    if (this._mounted) {
+      this.watchConnection(connection);
+    }
+
+    return this;
+  }
+
+  /**
+   * Subscribe to a connected store until the component unmounts
+   * @param {Object} connection - { store, selector }
+   */
+  watchConnection({ store, selector }) {
+    store.watch(selector, selection => this.setState(selection), { signal: this.signal });
+  }
+
+  /**
+   * Get the components filling each slot (override to declare children)
+   * Called before every render. Return the same instances on each call so
+   * they keep their state and DOM; child() helps with that.
+   * @returns {Object} Map of slot name to a component or an array of components
+   */
+  getSlots() {
+    return this.props.slots || {};
+  }
+
+  /**
+   * Check whether a slot is filled (for render() to skip wrappers of empty slots)
+   * @param {string} name - Slot name
+   * @returns {boolean}
+   */
+  hasSlot(name) {
+    return toComponentList(this._slots[name]).length > 0;
+  }
+
+  /**
+   * Get a child component that is kept across re-renders
+   * The first call creates the instance; later calls with the same key pass
+   * the new props to it.
+   * @param {string} key - Name of the child, unique within this component
+   * @param {Function} ComponentClass - Component class
+   * @param {Object} props - Props for the child
+   * @returns {Component} The child instance
+   */
+  child(key, ComponentClass, props = {}) {
+    const existing = this._childCache.get(key);
+
+    if (existing && existing.constructor === ComponentClass) {
+      existing.setProps(props);
+      return existing;
+    }
+
+    const instance = new ComponentClass(props);
+    this._childCache.set(key, instance);
+    return instance;
+  }
+
+  /**
+   * Place slotted components into their slots
+   * Mounts new children, moves existing ones, removes fallback content from
+   * filled slots and unmounts children no longer in any slot.
+   */
+  mountSlots() {
+    const active = new Set();
+
+    for (const slotElement of this.getSlotElements()) {
+      const children = toComponentList(this._slots[slotElement.getAttribute('data-slot')]);
+
+      if (children.length === 0) {
+        continue;
+      }
+
+      let cursor = slotElement.firstChild;
+
+      for (const child of children) {
+        active.add(child);
+
+        if (!child._mounted) {
+          child.appendTo(slotElement, cursor);
+        } else if (child.element === cursor) {
+          cursor = cursor.nextSibling;
+        } else {
+          slotElement.insertBefore(child.element, cursor);
+        }
+      }
+
+      // Whatever follows the children is fallback content or a child that left the slot
+      while (cursor) {
+        const next = cursor.nextSibling;
+        cursor.remove();
+        cursor = next;
+      }
+    }
+
+    for (const child of this._children) {
+      if (!active.has(child)) {
+        child.unmount();
+      }
+    }
+
+    this._children = active;
+  }
+
+  /**
+   * Get this component's slot elements (not those of slotted children)
+   * @returns {Array<HTMLElement>}
+   */
+  getSlotElements() {
+    return Array.from(this.element.querySelectorAll('[data-slot]')).filter((slotElement) => {
+      const outerSlot = slotElement.parentElement.closest('[data-slot]');
+      return !outerSlot || !this.element.contains(outerSlot);
+    });
+  }
+
+  /**
+   * Delegate the entries of the events map from the root element
+   * @throws {Error} If an entry names a method the component does not have
+   */
+  delegateEvents() {
+    const events = this.events || {};
+
+    for (const [descriptor, handler] of Object.entries(events)) {
+      const [type, ...selectorParts] = descriptor.trim().split(/\s+/);
+      const selector = selectorParts.join(' ');
+      const callback = typeof handler === 'string' ? this[handler] : handler;
+
+      if (typeof callback !== 'function') {
+        throw new Error(`${this.constructor.name} has no event handler "${handler}" for "${descriptor}"`);
+      }
+
+      this.element.addEventListener(type, (event) => {
+        const target = selector
+          ? event.target.closest && event.target.closest(selector)
+          : this.element;
+
+        // Ignore matches outside the component (closest() also searches ancestors)
+        if (target && this.element.contains(target)) {
+          callback.call(this, event, target);
+        }
+      }, { capture: CAPTURED_EVENTS.includes(type), signal: this._mountController.signal });
     }
   }
 
   /**
    * Attach event listeners (override in child classes)
+   * Prefer the events map. Listeners that cannot be delegated (e.g. on window)
+   * go here, added with addListener(): this is called again after every update,
+   * and listeners added with addListener() are removed before that.
    */
   attachEventListeners() {
     // Override in child classes to add event listeners
   }
 
+  /**
+   * Add an event listener that is removed on the next update or on unmount
+   * @param {EventTarget} target - Element (or window/document) to listen on
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   * @param {Object} options - addEventListener options
+   */
+  addListener(target, type, handler, options = {}) {
+    if (!this._listeners) {
+      this._listeners = new AbortController();
+    }
+
+    target.addEventListener(type, handler, { ...options, signal: this._listeners.signal });
+  }
+
+  /**
+   * Remove every listener added with addListener()
+   */
+  resetListeners() {
+    if (this._listeners) {
+      this._listeners.abort();
+      this._listeners = null;
+    }
+  }
+
   /**
    * Helper: Create element with classes
    * @param {string} tag - HTML tag name
@@ -141,8 +458,15 @@ export class Component {
    * @returns {string} Escaped string
    */
   escapeHTML(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+    return escapeHTML(str);
   }
 }
+
+/**
+ * Normalize a slot value to a list of components
+ * @param {Component|Array<Component>|null} value - Slot value
+ * @returns {Array<Component>}
+ */
+function toComponentList(value) {
+  return [].concat(value || []).filter(item => item instanceof Component);
+}
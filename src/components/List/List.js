@@ -1,4 +1,5 @@
 import { Component } from '../Component.js';
+import { html } from '../../utils/html.js';
 
 /**
  * List Component
@@ -15,6 +16,10 @@ import { Component } from '../Component.js';
  * list.mount('#container');
  */
 export class List extends Component {
+  events = {
+    'click .list-item': 'handleItemClick'
+  };
+
   constructor(props = {}) {
     super({
       items: [],
@@ -32,32 +37,36 @@ export class List extends Component {
 
     const itemsHTML = items.map((item, index) => {
       const itemClasses = ['list-item'];
-      const icon = item.icon ? `<span class="list-item-icon">${item.icon}</span>` : '';
-      const text = `<span class="list-item-text">${this.escapeHTML(item.text)}</span>`;
+      const icon = item.icon ? html`<span class="list-item-icon">${item.icon}</span>` : '';
+      const text = html`<span class="list-item-text">${item.text}</span>`;
+
+      // Rows with an id are keyed, so updates move and patch them instead of rebuilding
+      const keyAttr = item.id !== undefined && item.id !== null ? html`data-key="${item.id}"` : '';
 
-      return `
-        <li class="${itemClasses.join(' ')}" data-index="${index}" data-id="${item.id || index}">
+      return html`
+        <li class="${itemClasses}" data-index="${index}" data-id="${item.id || index}" ${keyAttr}>
           ${icon}
           ${text}
         </li>
       `;
-    }).join('');
+    });
 
-    return `
-      <${tag} class="${classes.join(' ')}" data-component="list">
+    return html`
+      <${tag} class="${classes}" data-component="list">
         ${itemsHTML}
       </${tag}>
     `;
   }
 
-  attachEventListeners() {
-    if (this.element && this.props.onItemClick) {
-      this.element.querySelectorAll('.list-item').forEach(item => {
-        item.addEventListener('click', (e) => {
-          const index = parseInt(item.dataset.index);
-          this.props.onItemClick(this.props.items[index], index);
-        });
-      });
+  /**
+   * Pass the clicked item to the onItemClick prop
+   * @param {MouseEvent} event - Click event
+   * @param {HTMLElement} row - Clicked .list-item element
+   */
+  handleItemClick(event, row) {
+    if (this.props.onItemClick) {
+      const index = parseInt(row.dataset.index);
+      this.props.onItemClick(this.props.items[index], index);
     }
   }
 }
@@ -0,0 +1,29 @@
+import { Component } from '../Component.js';
+import { html } from '../../utils/html.js';
+
+/**
+ * StatCounter Component
+ * Shows a number from the store and re-renders when it changes
+ *
+ * @example
+ * const counter = new StatCounter({
+ *   store,
+ *   selector: store.selectors.session.pageReloads
+ * });
+ * counter.mount('#page-reloads-count-value');
+ */
+export class StatCounter extends Component {
+  constructor(props = {}) {
+    super({
+      store: null,
+      selector: () => 0,
+      ...props
+    });
+
+    this.connect(this.props.store, state => ({ value: this.props.selector(state) }));
+  }
+
+  render() {
+    return html`<span class="stat-counter" data-component="stat-counter">${this.state.value}</span>`;
+  }
+}
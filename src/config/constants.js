@@ -21,6 +21,40 @@ export const SEO_CONFIG = {
   DEFAULT_OG_IMAGE: '/assets/og-image.jpg'
 };
 
+// Route Loader Cache (see LoaderCache)
+export const LOADER_CONFIG = {
+  MAX_AGE: 30000, // 30 seconds
+  STALE_WHILE_REVALIDATE: 300000 // 5 minutes
+};
+
+// Link Prefetching (see Prefetcher)
+export const PREFETCH_CONFIG = {
+  CONCURRENCY: 2, // Prefetches running at once
+  HOVER_DELAY: 65, // Milliseconds the pointer rests on a link before it is prefetched
+  ROOT_MARGIN: '200px' // Links this close to the viewport are prefetched
+};
+
+// Router Configuration
+// When serving under a base path, also update basePath in index.html (asset URLs)
+// and in 404.html.
+export const ROUTER_CONFIG = {
+  MODE: 'history', // 'history' (/base/cat-fact) or 'hash' (/base/#/cat-fact)
+  BASE_PATH: '' // e.g. '/my-app'; '' when served at the root
+};
+
+// Plugins (see PluginManager and src/plugins/index.js)
+// Set a plugin name to false to disable it; unlisted plugins are enabled.
+export const PLUGINS_CONFIG = {
+  ENABLED: {
+    // 'examples': false
+  }
+};
+
+// Analytics (see AnalyticsService)
+export const ANALYTICS_CONFIG = {
+  ENDPOINT: '' // URL receiving page views in production; '' disables sending
+};
+
 // Environment URLs
 export const ENVIRONMENT = {
   PRODUCTION_URL: 'https://spa-with-pure-javascript.s3-website-us-east-1.amazonaws.com',
@@ -30,24 +64,33 @@ export const ENVIRONMENT = {
 
 // Storage Keys
 export const STORAGE_KEYS = {
-  PAGE_RELOADS: 'page-reloads-count',
+  APP_STORE: 'app-store',
   IS_AUTHENTICATED: 'isAuthenticated',
   USER_DATA: 'user',
-  PERMISSIONS: 'permissions'
+  PERMISSIONS: 'permissions',
+  SCROLL_POSITIONS: 'scroll-positions'
 };
 
 // DOM Element IDs
 export const DOM_IDS = {
   CONTENT: 'content',
   OFFLINE_NAV_COUNT: 'offline-navigation-count-value',
-  PAGE_RELOADS_COUNT: 'page-reloads-count-value'
+  PAGE_RELOADS_COUNT: 'page-reloads-count-value',
+  ROUTE_ANNOUNCER: 'route-announcer',
+  BREADCRUMBS: 'breadcrumbs',
+  MAIN_NAV: 'main-nav'
 };
 
-// Route Names
+// Route Names (see EnhancedRoutes.url)
 export const ROUTES = {
   HOME: 'home',
   CAT_FACT: 'cat-fact',
   CONTACT_FORM: 'contact-form',
+  EXAMPLE: 'example',
+  SETTINGS: 'settings',
+  SETTINGS_PROFILE: 'settings/profile',
+  SETTINGS_SECURITY: 'settings/security',
+  LOGIN: 'login',
   NOT_FOUND: 'not-found'
 };
 
@@ -1,14 +1,16 @@
 import { apiService } from '../../services/api-service.js';
+import { html } from '../../utils/html.js';
+import { ROUTES } from '../../config/constants.js';
 
 export class CatFact {
   paths = ['cat-fact'];
   title = 'Cat Facts - Random Cat Facts';
   description = 'Discover interesting and fun facts about cats. Learn something new about our feline friends!';
+  breadcrumb = 'Cat Fact';
+  breadcrumbParent = ROUTES.HOME;
 
-  catFact = null;
-  error = null;
-  loading = true;
-  constructorPromise;
+  // Keep a fact for a minute; older ones are shown while a new one loads
+  cache = { maxAge: 60000, staleWhileRevalidate: 300000 };
 
   // SEO Configuration
   seoConfig = {
@@ -19,59 +21,47 @@ export class CatFact {
     type: 'article'
   };
 
-  constructor() {
-    this.constructorPromise = this.loadCatFact();
-  }
-
-  async loadCatFact() {
-    try {
-      this.loading = true;
-      this.error = null;
+  constructor() { }
 
-      const response = await apiService.get('https://catfact.ninja/fact');
-      this.catFact = response.fact;
-      this.loading = false;
-    } catch (error) {
-      console.error('Failed to load cat fact:', error);
-      this.error = error.getUserMessage ? error.getUserMessage() : 'Failed to load cat fact. Please try again.';
-      this.loading = false;
-    }
+  /**
+   * Fetch a cat fact before the page renders
+   * @param {Object} context - { params, query, signal }
+   * @returns {Promise<Object>} { fact }
+   */
+  async loader({ signal }) {
+    const response = await apiService.get('https://catfact.ninja/fact', { signal });
+    return { fact: response.fact };
   }
 
-  async getPageContent() {
-    await this.constructorPromise;
-
-    if (this.loading) {
-      return `
-        <div class="page-container">
-          <h1>Cat Fact</h1>
-          <div class="loading-state">
-            <p>Loading cat fact...</p>
-          </div>
+  async getPageContent(params, route) {
+    return html`
+      <div class="page-container">
+        <h1>Cat Fact</h1>
+        <div class="cat-fact-content">
+          <p class="cat-fact">${route.data.fact}</p>
+          <button type="button" class="btn" data-action="revalidate">Another Fact</button>
+          <p class="hint"><i>Facts are cached for a minute; use the button to fetch a new one.</i></p>
         </div>
-      `;
-    }
+      </div>
+    `;
+  }
 
-    if (this.error) {
-      return `
-        <div class="page-container">
-          <h1>Cat Fact</h1>
-          <div class="error-state" role="alert">
-            <p class="error-message">${this.error}</p>
-            <button onclick="location.reload()">Try Again</button>
-          </div>
-        </div>
-      `;
-    }
+  /**
+   * Shown instead of the router's error page when the fact cannot be loaded
+   * @param {Error} error - Error thrown by the loader
+   * @returns {SafeHTML} Error HTML
+   */
+  errorContent(error) {
+    const message = error.getUserMessage ? error.getUserMessage() : 'Failed to load cat fact. Please try again.';
 
-    return `
+    return html`
       <div class="page-container">
         <h1>Cat Fact</h1>
-        <div class="cat-fact-content">
-          <p class="cat-fact">${this.catFact}</p>
-          <p class="hint"><i>The Cat Fact is reset only after the page reloads.</i></p>
+        <div class="error-state" role="alert">
+          <p class="error-message">${message}</p>
+          <button type="button" class="btn" data-action="retry">Try Again</button>
         </div>
       </div>
     `;
   }
-}
\ No newline at end of file
+}
@@ -1,7 +1,13 @@
+import { FormValidator, ValidationRules } from '../../utils/form-validator.js';
+import { ROUTES } from '../../config/constants.js';
+import { html } from '../../utils/html.js';
+
 export class ContactForm {
   paths = ['contact-form'];
   title = 'Contact Us - Get in Touch';
   description = 'Contact us using our form. We would love to hear from you!';
+  breadcrumb = 'Contact Us';
+  breadcrumbParent = ROUTES.HOME;
 
   // SEO Configuration
   seoConfig = {
@@ -12,11 +18,17 @@ export class ContactForm {
     type: 'website'
   };
 
+  // Keep the page (and any half-written message) when navigating away
+  keepAlive = true;
+
+  // Validator and unsaved-changes flag of each form, rendered or kept alive
+  forms = new WeakMap();
+
   constructor() { }
 
   async getPageContent() {
-    // Return form HTML - validation will be attached via separate script
-    return `
+    // Return form HTML - validation is attached in onMount
+    return html`
       <div class="page-container">
         <header class="page-header">
           <h1>Contact Us</h1>
@@ -101,78 +113,6 @@ export class ContactForm {
           <div id="form-status" role="status" aria-live="polite"></div>
         </form>
 
-        <script type="module">
-          import { FormValidator, ValidationRules } from '../../utils/form-validator.js';
-          import { apiService } from '../../services/api-service.js';
-
-          // Initialize form validator
-          const form = document.getElementById('contact-form');
-          const validator = new FormValidator(form, {
-            validateOnInput: true,
-            validateOnBlur: true,
-
-            // Handle successful form submission
-            onSubmit: async (formData) => {
-              const statusDiv = document.getElementById('form-status');
-              statusDiv.innerHTML = '<p class="loading-state">Sending message...</p>';
-
-              try {
-                // Simulate API call (replace with actual endpoint)
-                await new Promise(resolve => setTimeout(resolve, 1500));
-
-                // In a real app, you would do:
-                // await apiService.post('/api/contact', formData);
-
-                statusDiv.innerHTML = '<p class="success-message">Message sent successfully! We will get back to you soon.</p>';
-                form.reset();
-                validator.reset();
-              } catch (error) {
-                statusDiv.innerHTML = '<p class="error-message">Failed to send message. Please try again.</p>';
-              }
-            },
-
-            // Handle validation failure
-            onValidationFailed: (errors) => {
-              const statusDiv = document.getElementById('form-status');
-              statusDiv.innerHTML = '<p class="error-message">Please fix the errors above before submitting.</p>';
-            }
-          });
-
-          // Add validation rules
-          validator.addField('name', [
-            { name: 'required', message: 'Name is required.' },
-            { name: 'minLength', params: [2], message: 'Name must be at least 2 characters.' },
-            { name: 'maxLength', params: [50], message: 'Name must not exceed 50 characters.' }
-          ]);
-
-          validator.addField('email', [
-            { name: 'required', message: 'Email is required.' },
-            { name: 'email', message: 'Please enter a valid email address.' }
-          ]);
-
-          validator.addField('phone', [
-            // Phone is optional, but if provided, must be valid
-            (value) => {
-              if (!value) return true; // Optional field
-              return ValidationRules.phone(value);
-            }
-          ], {
-            custom: 'Please enter a valid phone number.'
-          });
-
-          validator.addField('subject', [
-            { name: 'required', message: 'Subject is required.' },
-            { name: 'minLength', params: [5], message: 'Subject must be at least 5 characters.' },
-            { name: 'maxLength', params: [100], message: 'Subject must not exceed 100 characters.' }
-          ]);
-
-          validator.addField('message', [
-            { name: 'required', message: 'Message is required.' },
-            { name: 'minLength', params: [10], message: 'Message must be at least 10 characters.' },
-            { name: 'maxLength', params: [1000], message: 'Message must not exceed 1000 characters.' }
-          ]);
-        </script>
-
         <style>
           .contact-form {
             max-width: 600px;
@@ -206,4 +146,126 @@ export class ContactForm {
       </div>
     `;
   }
+
+  /**
+   * Attach the form validator once the form is in the DOM
+   * @param {HTMLElement} container - Element holding the page content
+   */
+  onMount(container) {
+    const form = container.querySelector('#contact-form');
+    const statusDiv = container.querySelector('#form-status');
+
+    const validator = new FormValidator(form, {
+      validateOnInput: true,
+      validateOnBlur: true,
+
+      // Handle successful form submission
+      onSubmit: async (formData) => {
+        statusDiv.innerHTML = '<p class="loading-state">Sending message...</p>';
+
+        try {
+          // Simulate API call (replace with actual endpoint)
+          await new Promise(resolve => setTimeout(resolve, 1500));
+
+          // In a real app, you would do:
+          // await apiService.post('/api/contact', formData);
+
+          statusDiv.innerHTML = '<p class="success-message">Message sent successfully! We will get back to you soon.</p>';
+          validator.reset();
+        } catch (error) {
+          statusDiv.innerHTML = '<p class="error-message">Failed to send message. Please try again.</p>';
+        }
+      },
+
+      // Handle validation failure
+      onValidationFailed: (errors) => {
+        statusDiv.innerHTML = '<p class="error-message">Please fix the errors above before submitting.</p>';
+      }
+    });
+
+    // Add validation rules
+    validator.addField('name', [
+      { name: 'required', message: 'Name is required.' },
+      { name: 'minLength', params: [2], message: 'Name must be at least 2 characters.' },
+      { name: 'maxLength', params: [50], message: 'Name must not exceed 50 characters.' }
+    ]);
+
+    validator.addField('email', [
+      { name: 'required', message: 'Email is required.' },
+      { name: 'email', message: 'Please enter a valid email address.' }
+    ]);
+
+    validator.addField('phone', [
+      // Phone is optional, but if provided, must be valid
+      (value) => {
+        if (!value) return true; // Optional field
+        return ValidationRules.phone(value);
+      }
+    ], {
+      custom: 'Please enter a valid phone number.'
+    });
+
+    validator.addField('subject', [
+      { name: 'required', message: 'Subject is required.' },
+      { name: 'minLength', params: [5], message: 'Subject must be at least 5 characters.' },
+      { name: 'maxLength', params: [100], message: 'Subject must not exceed 100 characters.' }
+    ]);
+
+    validator.addField('message', [
+      { name: 'required', message: 'Message is required.' },
+      { name: 'minLength', params: [10], message: 'Message must be at least 10 characters.' },
+      { name: 'maxLength', params: [1000], message: 'Message must not exceed 1000 characters.' }
+    ]);
+
+    // Track unsaved input for canLeave (listeners are removed in onUnmount)
+    const state = {
+      validator,
+      listenerController: new AbortController(),
+      hasUnsavedChanges: false
+    };
+    const { signal } = state.listenerController;
+    form.addEventListener('input', () => {
+      state.hasUnsavedChanges = true;
+    }, { signal });
+    form.addEventListener('reset', () => {
+      state.hasUnsavedChanges = false;
+    }, { signal });
+
+    this.forms.set(form, state);
+  }
+
+  /**
+   * Ask for confirmation before discarding a half-filled form (unloading the app,
+   * or dropping the kept-alive page)
+   * In-app navigation keeps the page alive, so the input is not lost then.
+   * @param {Object|null} nextRoute - Route being navigated to, or null when the page is discarded
+   * @param {HTMLElement|DocumentFragment} container - Content of the page being left
+   * @returns {boolean|string} true to leave, or a message to confirm
+   */
+  canLeave(nextRoute, container) {
+    const state = this.forms.get(container.querySelector('#contact-form'));
+
+    if (nextRoute || !state) {
+      return true;
+    }
+
+    return !state.hasUnsavedChanges || 'You have unsaved changes in the contact form. Leave this page anyway?';
+  }
+
+  /**
+   * Detach the form validator and listeners once the page is discarded
+   * @param {HTMLElement|DocumentFragment} container - Content of the discarded page
+   */
+  onUnmount(container) {
+    const form = container.querySelector('#contact-form');
+    const state = this.forms.get(form);
+
+    if (!state) {
+      return;
+    }
+
+    this.forms.delete(form);
+    state.listenerController.abort();
+    state.validator.destroy();
+  }
 }
@@ -1,3 +1,9 @@
+import { Card } from '../../components/Card/Card.js';
+import { Button } from '../../components/Button/Button.js';
+import { List } from '../../components/List/List.js';
+import { ROUTES } from '../../config/constants.js';
+import { html } from '../../utils/html.js';
+
 /**
  * Example Page demonstrating component usage
  * This is a template showing how to use reusable components in a page
@@ -6,6 +12,8 @@ export class Example {
   paths = ['example'];
   title = 'Component Example - Pure JS SPA';
   description = 'Example page demonstrating how to use reusable components';
+  breadcrumb = 'Component Example';
+  breadcrumbParent = ROUTES.HOME;
 
   seoConfig = {
     title: 'Component Example - Pure JS SPA',
@@ -14,10 +22,12 @@ export class Example {
     type: 'article'
   };
 
+  components = [];
+
   constructor() {}
 
   async getPageContent() {
-    return `
+    return html`
       <div class="page-container">
         <header class="page-header">
           <h1>Component Usage Example</h1>
@@ -35,79 +45,11 @@ export class Example {
         </section>
 
         <section class="example-section">
-          <h2>List Component</h2>
+          <h2>List Component in a Card</h2>
           <div id="list-container"></div>
         </section>
       </div>
 
-      <script type="module">
-        import { Card } from '../../components/Card/Card.js';
-        import { Button } from '../../components/Button/Button.js';
-        import { List } from '../../components/List/List.js';
-
-        // Example 1: Create Cards
-        const cards = [
-          {
-            title: 'Card 1',
-            subtitle: 'First example card',
-            content: '<p>This is a default card with border.</p>',
-            variant: 'default'
-          },
-          {
-            title: 'Card 2',
-            subtitle: 'Second example card',
-            content: '<p>This is an outlined card.</p>',
-            variant: 'outlined'
-          },
-          {
-            title: 'Card 3',
-            subtitle: 'Third example card',
-            content: '<p>This is an elevated card with hover effect.</p>',
-            variant: 'elevated'
-          }
-        ];
-
-        const cardContainer = document.getElementById('card-container');
-        cards.forEach(cardData => {
-          const tempDiv = document.createElement('div');
-          const card = new Card(cardData);
-          card.mount(tempDiv);
-          cardContainer.appendChild(card.element);
-        });
-
-        // Example 2: Create Buttons
-        const buttonContainer = document.getElementById('button-container');
-        const buttons = [
-          { text: 'Primary', variant: 'primary', onClick: () => alert('Primary clicked!') },
-          { text: 'Secondary', variant: 'secondary', onClick: () => alert('Secondary clicked!') },
-          { text: 'Danger', variant: 'danger', onClick: () => alert('Danger clicked!') },
-          { text: 'Disabled', variant: 'primary', disabled: true }
-        ];
-
-        buttons.forEach(btnData => {
-          const tempDiv = document.createElement('div');
-          const btn = new Button(btnData);
-          btn.mount(tempDiv);
-          buttonContainer.appendChild(btn.element);
-        });
-
-        // Example 3: Create List
-        const list = new List({
-          items: [
-            { id: 1, text: 'First item', icon: '📌' },
-            { id: 2, text: 'Second item', icon: '✓' },
-            { id: 3, text: 'Third item', icon: '🎯' }
-          ],
-          variant: 'hoverable',
-          onItemClick: (item) => {
-            console.log('Clicked:', item);
-            alert(\`You clicked: \${item.text}\`);
-          }
-        });
-
-        list.mount('#list-container');
-      </script>
-
       <style>
         .card-grid {
           display: grid;
@@ -134,4 +76,96 @@ export class Example {
       </style>
     `;
   }
+
+  /**
+   * Mount the demo components into the rendered page
+   * @param {HTMLElement} container - Element holding the page content
+   */
+  onMount(container) {
+    // Example 1: Create Cards
+    const cards = [
+      {
+        title: 'Card 1',
+        subtitle: 'First example card',
+        content: html`<p>This is a default card with border.</p>`,
+        variant: 'default'
+      },
+      {
+        title: 'Card 2',
+        subtitle: 'Second example card',
+        content: html`<p>This is an outlined card.</p>`,
+        variant: 'outlined'
+      },
+      {
+        title: 'Card 3',
+        subtitle: 'Third example card',
+        content: html`<p>This is an elevated card with hover effect.</p>`,
+        variant: 'elevated'
+      }
+    ];
+
+    const cardContainer = container.querySelector('#card-container');
+    cards.forEach(cardData => {
+      const card = new Card(cardData);
+      card.appendTo(cardContainer);
+      this.components.push(card);
+    });
+
+    // Example 2: Create Buttons
+    const buttonContainer = container.querySelector('#button-container');
+    const buttons = [
+      { text: 'Primary', variant: 'primary', onClick: () => alert('Primary clicked!') },
+      { text: 'Secondary', variant: 'secondary', onClick: () => alert('Secondary clicked!') },
+      { text: 'Danger', variant: 'danger', onClick: () => alert('Danger clicked!') },
+      { text: 'Disabled', variant: 'primary', disabled: true }
+    ];
+
+    buttons.forEach(btnData => {
+      const btn = new Button(btnData);
+      btn.appendTo(buttonContainer);
+      this.components.push(btn);
+    });
+
+    // Example 3: Compose a Card from a List (body slot) and a Button (footer slot)
+    const list = new List({
+      items: [
+        { id: 1, text: 'First item', icon: '📌' },
+        { id: 2, text: 'Second item', icon: '✓' },
+        { id: 3, text: 'Third item', icon: '🎯' }
+      ],
+      variant: 'hoverable',
+      onItemClick: (item) => {
+        console.log('Clicked:', item);
+        alert(`You clicked: ${item.text}`);
+      }
+    });
+
+    const addButton = new Button({
+      text: 'Add Item',
+      variant: 'secondary',
+      onClick: () => {
+        const items = list.props.items;
+        list.setProps({ items: [...items, { id: items.length + 1, text: `Item ${items.length + 1}`, icon: '➕' }] });
+        listCard.setProps({ subtitle: `${items.length + 1} items` });
+      }
+    });
+
+    // The Card re-renders on setProps; the List and Button inside it are kept
+    const listCard = new Card({
+      title: 'List in a Card',
+      subtitle: `${list.props.items.length} items`,
+      slots: { body: list, footer: addButton }
+    });
+
+    listCard.mount(container.querySelector('#list-container'));
+    this.components.push(listCard);
+  }
+
+  /**
+   * Unmount the demo components before the page is replaced
+   */
+  onUnmount() {
+    this.components.forEach(component => component.unmount());
+    this.components = [];
+  }
 }
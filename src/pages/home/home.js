@@ -1,7 +1,12 @@
+import { ROUTES } from '../../config/constants.js';
+import { html } from '../../utils/html.js';
+
 export class Home {
+  name = ROUTES.HOME;
   paths = ['home', 'index.html'];
   title = 'Home - Pure JavaScript SPA';
   description = 'Welcome to our Single Page Application built with pure JavaScript, HTML, and CSS. Fast, modern, and SEO-friendly.';
+  breadcrumb = 'Home';
 
   // SEO Configuration
   seoConfig = {
@@ -14,8 +19,8 @@ export class Home {
 
   constructor() { }
 
-  async getPageContent() {
-    return `
+  async getPageContent(params, route) {
+    return html`
       <div class="page-container">
         <header class="page-header">
           <h1>Welcome to the Home Page</h1>
@@ -35,7 +40,7 @@ export class Home {
 
         <section class="cta">
           <p>This SPA demonstrates modern web development practices without frameworks.</p>
-          <a href="/cat-fact" onclick="navigate(event, 'cat-fact')" class="btn">Try Cat Facts</a>
+          <a href="${route.router.url(ROUTES.CAT_FACT)}" class="btn">Try Cat Facts</a>
         </section>
       </div>
     `;
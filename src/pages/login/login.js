@@ -0,0 +1,86 @@
+import { FormValidator } from '../../utils/form-validator.js';
+import { ROUTES, STORAGE_KEYS } from '../../config/constants.js';
+import { html } from '../../utils/html.js';
+
+export class Login {
+  paths = ['login'];
+  title = 'Sign In - Pure JS SPA';
+  description = 'Sign in to access your account settings.';
+  breadcrumb = 'Sign In';
+  breadcrumbParent = ROUTES.HOME;
+
+  // SEO Configuration
+  seoConfig = {
+    title: 'Sign In - Pure JS SPA',
+    description: 'Sign in to access your account settings.',
+    robots: 'noindex, nofollow'
+  };
+
+  validator = null;
+
+  constructor() { }
+
+  async getPageContent() {
+    return html`
+      <div class="page-container">
+        <header class="page-header">
+          <h1>Sign In</h1>
+          <p class="subtitle">Please sign in to continue</p>
+        </header>
+
+        <form id="login-form" class="login-form" novalidate>
+          <div class="form-group">
+            <label for="username">Username <span class="required">*</span></label>
+            <input type="text" id="username" name="username" autocomplete="username" required aria-required="true">
+          </div>
+
+          <div class="form-group">
+            <label for="password">Password <span class="required">*</span></label>
+            <input type="password" id="password" name="password" autocomplete="current-password" required aria-required="true">
+          </div>
+
+          <div class="form-actions">
+            <button type="submit" class="btn">Sign In</button>
+          </div>
+        </form>
+      </div>
+    `;
+  }
+
+  /**
+   * Attach the form validator and sign the user in on submit
+   * @param {HTMLElement} container - Element holding the page content
+   * @param {Object} route - Resolved route context
+   */
+  onMount(container, route) {
+    const form = container.querySelector('#login-form');
+
+    this.validator = new FormValidator(form, {
+      // Demo authentication: any non-empty credentials are accepted
+      onSubmit: async () => {
+        sessionStorage.setItem(STORAGE_KEYS.IS_AUTHENTICATED, 'true');
+
+        // Send the user back to the page that required authentication
+        await route.router.replace(route.router.getReturnUrl(ROUTES.HOME));
+      }
+    });
+
+    this.validator.addField('username', [
+      { name: 'required', message: 'Username is required.' }
+    ]);
+
+    this.validator.addField('password', [
+      { name: 'required', message: 'Password is required.' }
+    ]);
+  }
+
+  /**
+   * Detach the form validator before the page is replaced
+   */
+  onUnmount() {
+    if (this.validator) {
+      this.validator.destroy();
+      this.validator = null;
+    }
+  }
+}
@@ -1,7 +1,13 @@
+import { ROUTES } from '../../config/constants.js';
+import { html } from '../../utils/html.js';
+
 export class NotFound {
+  name = ROUTES.NOT_FOUND;
   paths = ['not-found'];
   title = '404 - Page Not Found';
   description = 'The page you are looking for could not be found.';
+  breadcrumb = 'Page Not Found';
+  breadcrumbParent = ROUTES.HOME;
 
   // SEO Configuration
   seoConfig = {
@@ -12,14 +18,14 @@ export class NotFound {
 
   constructor() { }
 
-  async getPageContent() {
-    return `
+  async getPageContent(params, route) {
+    return html`
       <div class="page-container not-found-page">
         <h1>404 - Page Not Found</h1>
         <p>The page you are looking for doesn't exist or has been moved.</p>
         <div class="not-found-actions">
-          <a href="/home" onclick="navigate(event, 'home')" class="btn">Go to Home</a>
-          <button onclick="history.back()" class="btn btn-secondary">Go Back</button>
+          <a href="${route.router.url(ROUTES.HOME)}" class="btn">Go to Home</a>
+          <button type="button" data-action="back" class="btn btn-secondary">Go Back</button>
         </div>
       </div>
     `;
@@ -0,0 +1,38 @@
+import { ROUTES } from '../../../config/constants.js';
+import { html } from '../../../utils/html.js';
+
+/**
+ * Profile section of the settings layout
+ */
+export class SettingsProfile {
+  name = ROUTES.SETTINGS_PROFILE;
+  paths = ['profile'];
+  title = 'Profile Settings - Pure JS SPA';
+  description = 'Update your public profile information.';
+  breadcrumb = 'Profile';
+
+  seoConfig = {
+    title: 'Profile Settings - Pure JS SPA',
+    description: 'Update your public profile information.',
+    robots: 'noindex, nofollow'
+  };
+
+  constructor() { }
+
+  async getPageContent() {
+    return html`
+      <h2>Profile</h2>
+      <p>Update the information shown on your public profile.</p>
+
+      <div class="form-group">
+        <label for="display-name">Display name</label>
+        <input type="text" id="display-name" name="displayName" placeholder="Your display name">
+      </div>
+
+      <div class="form-group">
+        <label for="bio">Bio</label>
+        <textarea id="bio" name="bio" rows="4" placeholder="Tell us about yourself"></textarea>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,38 @@
+import { ROUTES } from '../../../config/constants.js';
+import { html } from '../../../utils/html.js';
+
+/**
+ * Security section of the settings layout
+ */
+export class SettingsSecurity {
+  name = ROUTES.SETTINGS_SECURITY;
+  paths = ['security'];
+  title = 'Security Settings - Pure JS SPA';
+  description = 'Manage your password and sign-in options.';
+  breadcrumb = 'Security';
+
+  seoConfig = {
+    title: 'Security Settings - Pure JS SPA',
+    description: 'Manage your password and sign-in options.',
+    robots: 'noindex, nofollow'
+  };
+
+  constructor() { }
+
+  async getPageContent() {
+    return html`
+      <h2>Security</h2>
+      <p>Keep your account safe by using a strong, unique password.</p>
+
+      <div class="form-group">
+        <label for="current-password">Current password</label>
+        <input type="password" id="current-password" name="currentPassword" autocomplete="current-password">
+      </div>
+
+      <div class="form-group">
+        <label for="new-password">New password</label>
+        <input type="password" id="new-password" name="newPassword" autocomplete="new-password">
+      </div>
+    `;
+  }
+}
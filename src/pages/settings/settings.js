@@ -0,0 +1,58 @@
+import { RouteGuards } from '../../app/enhanced-routes.js';
+import { SettingsProfile } from './profile/profile.js';
+import { SettingsSecurity } from './security/security.js';
+import { ROUTES } from '../../config/constants.js';
+import { html } from '../../utils/html.js';
+
+/**
+ * Settings layout page
+ * Renders the shared settings header and navigation; child routes are
+ * rendered into the outlet, so switching sections keeps this layout intact.
+ */
+export class Settings {
+  name = ROUTES.SETTINGS;
+  paths = ['settings'];
+  title = 'Settings - Pure JS SPA';
+  description = 'Manage your profile and security settings.';
+  breadcrumb = 'Settings';
+  breadcrumbParent = ROUTES.HOME;
+
+  // Only signed-in users may open the settings (child routes included)
+  requiresAuth = true;
+  guards = [RouteGuards.authGuard];
+
+  children = [
+    new SettingsProfile(),
+    new SettingsSecurity()
+  ];
+
+  seoConfig = {
+    title: 'Settings - Pure JS SPA',
+    description: 'Manage your profile and security settings.',
+    robots: 'noindex, nofollow'
+  };
+
+  constructor() { }
+
+  async getPageContent(params, route) {
+    return html`
+      <div class="page-container settings-page">
+        <header class="page-header">
+          <h1>Settings</h1>
+          <p class="subtitle">Manage your account preferences</p>
+        </header>
+
+        <div class="settings-layout">
+          <nav class="settings-nav" aria-label="Settings sections">
+            <a href="${route.router.url(ROUTES.SETTINGS_PROFILE)}">Profile</a>
+            <a href="${route.router.url(ROUTES.SETTINGS_SECURITY)}">Security</a>
+          </nav>
+
+          <section class="settings-outlet" data-outlet>
+            <p class="hint">Choose a section to get started.</p>
+          </section>
+        </div>
+      </div>
+    `;
+  }
+}
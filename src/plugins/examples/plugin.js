@@ -0,0 +1,21 @@
+import { ROUTES } from '../../config/constants.js';
+
+/**
+ * Examples plugin - Adds the component example page and its navigation link
+ */
+export const examplesPlugin = {
+  name: 'examples',
+
+  pages: [
+    {
+      name: ROUTES.EXAMPLE,
+      paths: ['example'],
+      load: () => import('../../pages/example/example.js'),
+      exportName: 'Example'
+    }
+  ],
+
+  navItems: [
+    { route: ROUTES.EXAMPLE, label: 'Component Example' }
+  ]
+};
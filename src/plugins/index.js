@@ -0,0 +1,10 @@
+import { examplesPlugin } from './examples/plugin.js';
+
+/**
+ * Plugins installed at startup (see PluginManager)
+ * Add a feature by creating src/plugins/<name>/plugin.js and listing it here;
+ * disable one without removing it through PLUGINS_CONFIG in constants.js.
+ */
+export const plugins = [
+  examplesPlugin
+];
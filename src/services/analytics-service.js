@@ -0,0 +1,143 @@
+/**
+ * Analytics Service - Records page views from the router's navigation events
+ *
+ * Where the data goes is decided by an adapter: any object with a
+ * pageView(view) method, and optionally event(name, data) for other events.
+ * Swap adapters to send page views to a different analytics provider.
+ *
+ * @example
+ * const analytics = new AnalyticsService({ adapter: new BeaconAnalyticsAdapter('/api/analytics') });
+ * analytics.connect(routes);
+ */
+export class AnalyticsService {
+  /**
+   * @param {Object} options - { adapter, ignoredTriggers }
+   *   ignoredTriggers: navigation triggers that do not count as page views
+   */
+  constructor({ adapter = null, ignoredTriggers = ['revalidate'] } = {}) {
+    this.adapter = adapter;
+    this.ignoredTriggers = ignoredTriggers;
+  }
+
+  /**
+   * Record page views and navigation errors of a router
+   * @param {Object} router - EnhancedRoutes instance
+   * @returns {Function} Function that stops recording
+   */
+  connect(router) {
+    const unsubscribers = [
+      router.on('navigationend', event => this.handleNavigationEnd(event)),
+      router.on('navigationerror', event => this.handleNavigationError(event))
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Turn a completed navigation into a page view
+   * @param {Object} event - navigationend payload
+   */
+  handleNavigationEnd(event) {
+    if (!this.adapter || this.ignoredTriggers.includes(event.trigger)) {
+      return;
+    }
+
+    this.adapter.pageView({
+      url: event.to.url,
+      path: event.to.path,
+      name: event.to.name,
+      title: document.title,
+      referrer: event.from ? event.from.url : document.referrer,
+      trigger: event.trigger,
+      duration: Math.round(event.duration),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Report a failed navigation to adapters that record events
+   * @param {Object} event - navigationerror payload
+   */
+  handleNavigationError(event) {
+    if (!this.adapter || typeof this.adapter.event !== 'function') {
+      return;
+    }
+
+    this.adapter.event('navigation_error', {
+      url: event.to.url,
+      errorId: event.errorId,
+      message: event.error.message,
+      trigger: event.trigger
+    });
+  }
+}
+
+/**
+ * Analytics adapter that logs to the console (for development)
+ */
+export class ConsoleAnalyticsAdapter {
+  /**
+   * @param {Object} view - Page view
+   */
+  pageView(view) {
+    console.info(`[analytics] page view ${view.url} (${view.trigger}, ${view.duration}ms)`, view);
+  }
+
+  /**
+   * @param {string} name - Event name
+   * @param {Object} data - Event data
+   */
+  event(name, data) {
+    console.info(`[analytics] ${name}`, data);
+  }
+}
+
+/**
+ * Analytics adapter that posts JSON to an endpoint
+ * Uses navigator.sendBeacon, so requests survive the page being closed.
+ */
+export class BeaconAnalyticsAdapter {
+  /**
+   * @param {string} endpoint - URL receiving { type, ...data } as JSON
+   */
+  constructor(endpoint) {
+    this.endpoint = endpoint;
+  }
+
+  /**
+   * @param {Object} view - Page view
+   */
+  pageView(view) {
+    this.send({ type: 'pageview', ...view });
+  }
+
+  /**
+   * @param {string} name - Event name
+   * @param {Object} data - Event data
+   */
+  event(name, data) {
+    this.send({ type: name, ...data });
+  }
+
+  /**
+   * Send a payload to the endpoint
+   * @param {Object} payload - Data to send
+   */
+  send(payload) {
+    const body = JSON.stringify(payload);
+
+    if (typeof navigator.sendBeacon === 'function' &&
+        navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+      return;
+    }
+
+    fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    }).catch((error) => {
+      console.warn('Could not send analytics data:', error);
+    });
+  }
+}
@@ -40,8 +40,8 @@ export class APIService {
       } catch (error) {
         lastError = error;
 
-        // Don't retry on client errors (4xx) or last attempt
-        if (error.status >= 400 && error.status < 500) {
+        // Don't retry on client errors (4xx), aborted requests or last attempt
+        if ((error.status >= 400 && error.status < 500) || error.code === 'ABORTED') {
           throw error;
         }
 
@@ -58,17 +58,27 @@ export class APIService {
   /**
    * Fetch with timeout
    * @param {string} url - URL to fetch
-   * @param {Object} config - Fetch config
+   * @param {Object} config - Fetch config (config.signal aborts the request from the caller)
    * @param {number} timeout - Timeout in milliseconds
    * @returns {Promise<Response>}
    */
   async fetchWithTimeout(url, config, timeout) {
+    const { signal: callerSignal, ...fetchConfig } = config;
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const abortFromCaller = () => controller.abort();
+
+    if (callerSignal) {
+      if (callerSignal.aborted) {
+        controller.abort();
+      } else {
+        callerSignal.addEventListener('abort', abortFromCaller, { once: true });
+      }
+    }
 
     try {
       const response = await fetch(url, {
-        ...config,
+        ...fetchConfig,
         signal: controller.signal
       });
       clearTimeout(timeoutId);
@@ -76,9 +86,16 @@ export class APIService {
     } catch (error) {
       clearTimeout(timeoutId);
       if (error.name === 'AbortError') {
+        if (callerSignal && callerSignal.aborted) {
+          throw new APIError('Request aborted', 'ABORTED', 0, error);
+        }
         throw new APIError('Request timeout', 'TIMEOUT', 408);
       }
       throw new APIError('Network error', 'NETWORK_ERROR', 0, error);
+    } finally {
+      if (callerSignal) {
+        callerSignal.removeEventListener('abort', abortFromCaller);
+      }
     }
   }
 
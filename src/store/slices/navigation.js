@@ -0,0 +1,23 @@
+/**
+ * Navigation slice - Counts in-app navigations since the page loaded
+ */
+export const navigationSlice = {
+  initialState: {
+    offlineCount: 0
+  },
+
+  actions: {
+    /**
+     * Record a navigation handled without reloading the page
+     * @param {Object} state - Slice state
+     * @returns {Object} New slice state
+     */
+    navigated(state) {
+      return { ...state, offlineCount: state.offlineCount + 1 };
+    }
+  },
+
+  selectors: {
+    offlineCount: state => state.offlineCount
+  }
+};
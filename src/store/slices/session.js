@@ -0,0 +1,23 @@
+/**
+ * Session slice - Per-tab values kept across page reloads (persisted to sessionStorage)
+ */
+export const sessionSlice = {
+  initialState: {
+    pageReloads: 0
+  },
+
+  actions: {
+    /**
+     * Record a full page load
+     * @param {Object} state - Slice state
+     * @returns {Object} New slice state
+     */
+    pageLoaded(state) {
+      return { ...state, pageReloads: state.pageReloads + 1 };
+    }
+  },
+
+  selectors: {
+    pageReloads: state => state.pageReloads
+  }
+};
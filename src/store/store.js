@@ -0,0 +1,277 @@
+import { EventEmitter } from '../utils/event-emitter.js';
+
+/**
+ * Store - Shared application state with slices, actions and subscriptions
+ *
+ * The state is split into slices. A slice is a plain object:
+ * {
+ *   initialState: { count: 0 },
+ *   actions: {
+ *     increment(state, amount = 1) {            // Returns the new slice state; never mutate
+ *       return { ...state, count: state.count + amount };
+ *     }
+ *   },
+ *   selectors: {
+ *     count: state => state.count               // Receives the slice state
+ *   }
+ * }
+ *
+ * Actions are called through store.actions (store.actions.counter.increment(2))
+ * or dispatch('counter/increment', 2). Selectors are exposed on store.selectors
+ * and take the whole store state, so they can be passed to select(), watch()
+ * and Component.connect().
+ *
+ * @example
+ * const store = new Store({
+ *   slices: { counter: counterSlice },
+ *   persist: { key: 'app-store', storage: 'session', slices: ['counter'] },
+ *   devLog: true
+ * });
+ * store.watch(store.selectors.counter.count, count => console.log(count));
+ */
+export class Store extends EventEmitter {
+  /**
+   * @param {Object} options - { slices, persist, devLog }
+   *   persist: { key, storage: 'session'|'local', slices } saves those slices (default: all) after every change
+   *   devLog: log every state transition to the console
+   */
+  constructor({ slices = {}, persist = null, devLog = false } = {}) {
+    super();
+    this.slices = slices;
+    this.persist = persist;
+    this.devLog = devLog;
+    this.isDispatching = false;
+    this.state = {};
+    this.actions = {};
+    this.selectors = {};
+
+    const savedState = this.loadPersistedState();
+
+    for (const [name, slice] of Object.entries(slices)) {
+      this.state[name] = mergeSavedState(slice.initialState, savedState[name]);
+
+      this.actions[name] = {};
+      for (const actionName of Object.keys(slice.actions || {})) {
+        this.actions[name][actionName] = payload => this.dispatch(`${name}/${actionName}`, payload);
+      }
+
+      this.selectors[name] = {};
+      for (const [selectorName, selector] of Object.entries(slice.selectors || {})) {
+        this.selectors[name][selectorName] = (state, ...args) => selector(state[name], ...args);
+      }
+    }
+  }
+
+  /**
+   * Get the current state
+   * @returns {Object} State by slice name (treat it as read-only)
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Run an action and notify subscribers if the state changed
+   * @param {string} type - Action type, 'slice/action'
+   * @param {*} payload - Value passed to the action
+   * @returns {Object} The new state
+   * @throws {Error} If the action does not exist or is dispatched from inside an action
+   */
+  dispatch(type, payload) {
+    const [sliceName, actionName] = type.split('/');
+    const slice = this.slices[sliceName];
+    const action = slice && slice.actions ? slice.actions[actionName] : null;
+
+    if (typeof action !== 'function') {
+      throw new Error(`Unknown store action "${type}"`);
+    }
+
+    if (this.isDispatching) {
+      throw new Error(`Store action "${type}" was dispatched from inside an action`);
+    }
+
+    const prevState = this.state;
+    let sliceState;
+
+    this.isDispatching = true;
+    try {
+      sliceState = action(prevState[sliceName], payload);
+    } finally {
+      this.isDispatching = false;
+    }
+
+    // Actions return the same object when nothing changed
+    if (sliceState === prevState[sliceName]) {
+      return prevState;
+    }
+
+    this.state = { ...prevState, [sliceName]: sliceState };
+    this.logTransition(type, payload, prevState, this.state);
+    this.savePersistedState(sliceName);
+    this.emit('change', { state: this.state, prevState, action: { type, payload } });
+
+    return this.state;
+  }
+
+  /**
+   * Read a value from the state
+   * @param {Function} selector - (state) => value
+   * @returns {*} Selected value
+   */
+  select(selector) {
+    return selector(this.state);
+  }
+
+  /**
+   * Listen to every state change
+   * @param {Function} listener - Called with { state, prevState, action }
+   * @returns {Function} Function that unsubscribes the listener
+   */
+  subscribe(listener) {
+    return this.on('change', listener);
+  }
+
+  /**
+   * Listen to changes of a selected value only
+   * @param {Function} selector - (state) => value
+   * @param {Function} listener - Called with (value, previousValue) when the value changes
+   * @param {Object} options - { equals (default: shallow equality), signal (unsubscribes when aborted) }
+   * @returns {Function} Function that unsubscribes the listener
+   */
+  watch(selector, listener, { equals = shallowEqual, signal = null } = {}) {
+    let current = selector(this.state);
+
+    const unsubscribe = this.subscribe(({ state }) => {
+      const next = selector(state);
+
+      if (!equals(current, next)) {
+        const previous = current;
+        current = next;
+        listener(next, previous);
+      }
+    });
+
+    if (signal) {
+      signal.addEventListener('abort', unsubscribe, { once: true });
+    }
+
+    return unsubscribe;
+  }
+
+  /**
+   * Get the storage persisted slices are kept in
+   * @returns {Storage|null} null when persistence is off or storage is unavailable
+   */
+  getStorage() {
+    if (!this.persist) {
+      return null;
+    }
+
+    try {
+      return this.persist.storage === 'local' ? window.localStorage : window.sessionStorage;
+    } catch {
+      // Storage access throws when it is disabled (e.g. blocked cookies)
+      return null;
+    }
+  }
+
+  /**
+   * Read persisted slices
+   * @returns {Object} Saved state by slice name
+   */
+  loadPersistedState() {
+    const storage = this.getStorage();
+
+    if (!storage) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(storage.getItem(this.persist.key)) || {};
+    } catch (error) {
+      console.warn('Could not restore the persisted store state:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the persisted slices after a slice changed
+   * @param {string} sliceName - Slice that changed
+   */
+  savePersistedState(sliceName) {
+    const storage = this.getStorage();
+    const persistedSlices = storage ? this.persist.slices || Object.keys(this.slices) : [];
+
+    if (!persistedSlices.includes(sliceName)) {
+      return;
+    }
+
+    const savedState = {};
+    for (const name of persistedSlices) {
+      savedState[name] = this.state[name];
+    }
+
+    try {
+      storage.setItem(this.persist.key, JSON.stringify(savedState));
+    } catch (error) {
+      console.warn('Could not persist the store state:', error);
+    }
+  }
+
+  /**
+   * Log a state transition (when devLog is on)
+   * @param {string} type - Action type
+   * @param {*} payload - Action payload
+   * @param {Object} prevState - State before the action
+   * @param {Object} nextState - State after the action
+   */
+  logTransition(type, payload, prevState, nextState) {
+    if (!this.devLog) {
+      return;
+    }
+
+    console.groupCollapsed(`[store] ${type}`);
+    console.log('payload', payload);
+    console.log('prev state', prevState);
+    console.log('next state', nextState);
+    console.groupEnd();
+  }
+}
+
+/**
+ * Compare two values, and the own properties of two objects, with Object.is
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean}
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+/**
+ * Combine a slice's initial state with its saved state
+ * Fields added to initialState since the state was saved keep their defaults.
+ * @param {*} initialState - Slice initial state
+ * @param {*} savedState - Persisted slice state, undefined if none
+ * @returns {*} Slice state
+ */
+function mergeSavedState(initialState, savedState) {
+  if (savedState === undefined) {
+    return initialState;
+  }
+
+  const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  return isPlainObject(initialState) && isPlainObject(savedState)
+    ? { ...initialState, ...savedState }
+    : savedState;
+}
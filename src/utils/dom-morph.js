@@ -0,0 +1,184 @@
+/**
+ * DOM Morph - Updates an existing DOM tree in place to match new markup
+ *
+ * Nodes are reused wherever possible, so focus, caret position, scroll offsets,
+ * running CSS transitions and DOM added by third-party code survive an update.
+ * Only attributes and text that differ are written.
+ *
+ * Children are matched by their data-key attribute when they have one (e.g.
+ * list rows), so reordered rows are moved instead of rebuilt. Children without
+ * a key are matched in order by node type and tag name.
+ *
+ * options.skipChildren(fromElement, toElement) can return true to leave the
+ * children of an element alone (e.g. slots holding child components); its
+ * attributes are still morphed.
+ */
+
+/**
+ * Morph a node into the shape of another node
+ * @param {Node} fromNode - Node currently in the document
+ * @param {Node} toNode - Node with the desired content (it may be consumed)
+ * @param {Object} options - { skipChildren }
+ * @returns {Node} The node now in the document: fromNode, or toNode if it had
+ *   to replace fromNode (different tag or key)
+ */
+export function morph(fromNode, toNode, options = {}) {
+  if (!isSameNode(fromNode, toNode)) {
+    fromNode.replaceWith(toNode);
+    return toNode;
+  }
+
+  if (fromNode.nodeType !== Node.ELEMENT_NODE) {
+    if (fromNode.nodeValue !== toNode.nodeValue) {
+      fromNode.nodeValue = toNode.nodeValue;
+    }
+    return fromNode;
+  }
+
+  const formState = getFormStateChanges(fromNode, toNode);
+
+  morphAttributes(fromNode, toNode);
+  if (!options.skipChildren || !options.skipChildren(fromNode, toNode)) {
+    morphChildren(fromNode, toNode, options);
+  }
+  applyFormState(fromNode, formState);
+
+  return fromNode;
+}
+
+/**
+ * Morph the children of an element into the children of another element
+ * @param {Element} fromParent - Element currently in the document
+ * @param {Element} toParent - Element with the desired children (they may be consumed)
+ * @param {Object} options - Options passed to morph()
+ */
+export function morphChildren(fromParent, toParent, options = {}) {
+  const keyed = new Map();
+  const unkeyed = [];
+
+  for (const child of fromParent.childNodes) {
+    const key = getKey(child);
+
+    if (key !== null) {
+      keyed.set(key, child);
+    } else {
+      unkeyed.push(child);
+    }
+  }
+
+  let cursor = fromParent.firstChild;
+
+  for (const newChild of Array.from(toParent.childNodes)) {
+    const key = getKey(newChild);
+    let match = null;
+
+    if (key !== null) {
+      match = keyed.get(key) || null;
+      keyed.delete(key);
+    } else {
+      // Unkeyed nodes skipped over here are removed below
+      const index = unkeyed.findIndex(child => isSameNode(child, newChild));
+      if (index !== -1) {
+        match = unkeyed[index];
+        unkeyed.splice(0, index + 1);
+      }
+    }
+
+    if (match === null) {
+      fromParent.insertBefore(newChild, cursor);
+      continue;
+    }
+
+    if (match === cursor) {
+      cursor = cursor.nextSibling;
+    } else {
+      fromParent.insertBefore(match, cursor);
+    }
+
+    morph(match, newChild, options);
+  }
+
+  // Everything after the last placed node was not matched
+  while (cursor) {
+    const next = cursor.nextSibling;
+    cursor.remove();
+    cursor = next;
+  }
+}
+
+/**
+ * Check whether one node can be morphed into another
+ * @param {Node} a - Node
+ * @param {Node} b - Node
+ * @returns {boolean}
+ */
+function isSameNode(a, b) {
+  return a.nodeType === b.nodeType && a.nodeName === b.nodeName && getKey(a) === getKey(b);
+}
+
+/**
+ * Get the data-key of a node
+ * @param {Node} node - Node
+ * @returns {string|null}
+ */
+function getKey(node) {
+  return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-key') : null;
+}
+
+/**
+ * Copy the attributes of toElement onto fromElement and remove the others
+ * @param {Element} fromElement - Element currently in the document
+ * @param {Element} toElement - Element with the desired attributes
+ */
+function morphAttributes(fromElement, toElement) {
+  for (const { name } of Array.from(fromElement.attributes)) {
+    if (!toElement.hasAttribute(name)) {
+      fromElement.removeAttribute(name);
+    }
+  }
+
+  for (const { name, value } of Array.from(toElement.attributes)) {
+    if (fromElement.getAttribute(name) !== value) {
+      fromElement.setAttribute(name, value);
+    }
+  }
+}
+
+/**
+ * Find form control state the new markup changes
+ * The live value of inputs belongs to the user, so it is only overwritten when
+ * the markup itself sets a different value than it did before.
+ * @param {Element} fromElement - Element currently in the document
+ * @param {Element} toElement - Element with the desired content
+ * @returns {Object} State to apply { value, checked }
+ */
+function getFormStateChanges(fromElement, toElement) {
+  const changes = {};
+
+  if (fromElement.nodeName === 'INPUT') {
+    if (fromElement.getAttribute('value') !== toElement.getAttribute('value')) {
+      changes.value = toElement.getAttribute('value') || '';
+    }
+    if (fromElement.hasAttribute('checked') !== toElement.hasAttribute('checked')) {
+      changes.checked = toElement.hasAttribute('checked');
+    }
+  } else if (fromElement.nodeName === 'TEXTAREA' && fromElement.defaultValue !== toElement.defaultValue) {
+    changes.value = toElement.defaultValue;
+  }
+
+  return changes;
+}
+
+/**
+ * Apply form control state found by getFormStateChanges
+ * @param {Element} element - Form control
+ * @param {Object} changes - State { value, checked }
+ */
+function applyFormState(element, changes) {
+  if ('value' in changes) {
+    element.value = changes.value;
+  }
+  if ('checked' in changes) {
+    element.checked = changes.checked;
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Event Emitter - Minimal publish/subscribe with multiple listeners per event
+ *
+ * A listener that throws is logged and does not stop the other listeners.
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Function that unsubscribes the listener
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Function that unsubscribes the listener
+   */
+  once(event, listener) {
+    const unsubscribe = this.on(event, (payload) => {
+      unsubscribe();
+      listener(payload);
+    });
+
+    return unsubscribe;
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  /**
+   * Call every listener of an event
+   * @param {string} event - Event name
+   * @param {*} payload - Value passed to the listeners
+   */
+  emit(event, payload) {
+    const listeners = this.listeners.get(event);
+
+    if (!listeners) {
+      return;
+    }
+
+    // Copy, so listeners may unsubscribe while the event is dispatched
+    for (const listener of Array.from(listeners)) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    }
+  }
+}
@@ -92,6 +92,7 @@ export class FormValidator {
     this.fields = new Map();
     this.errors = new Map();
     this.touched = new Set();
+    this.listenerController = new AbortController();
     this.config = {
       validateOnInput: true,
       validateOnBlur: true,
@@ -107,27 +108,38 @@ export class FormValidator {
    */
   init() {
     this.form.noValidate = true; // Disable native HTML5 validation
+    const { signal } = this.listenerController;
 
     this.form.addEventListener('submit', (e) => {
       e.preventDefault();
       this.handleSubmit();
-    });
+    }, { signal });
 
     // Add event listeners for real-time validation
     this.form.querySelectorAll('input, textarea, select').forEach((field) => {
       if (this.config.validateOnInput) {
-        field.addEventListener('input', () => this.validateField(field.name));
+        field.addEventListener('input', () => this.validateField(field.name), { signal });
       }
 
       if (this.config.validateOnBlur) {
         field.addEventListener('blur', () => {
           this.touched.add(field.name);
           this.validateField(field.name);
-        });
+        }, { signal });
       }
     });
   }
 
+  /**
+   * Remove all event listeners attached by the validator
+   */
+  destroy() {
+    this.listenerController.abort();
+    this.fields.clear();
+    this.errors.clear();
+    this.touched.clear();
+  }
+
   /**
    * Add validation rule for a field
    * @param {string} fieldName - Field name
@@ -0,0 +1,415 @@
+/**
+ * HTML Utilities - Helpers for building HTML strings safely
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute value
+ * @param {*} value - Value to escape; null and undefined become ''
+ * @returns {string} Escaped string
+ */
+export function escapeHTML(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Attributes whose value is loaded or navigated to as a URL
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href'];
+
+// URL schemes allowed in URL attributes; relative URLs are always allowed
+const SAFE_URL_PROTOCOLS = ['http', 'https', 'mailto', 'tel'];
+
+// Replaces rejected URLs (an inert URL, so the attribute stays valid)
+const UNSAFE_URL = 'about:invalid#unsafe-url';
+
+// Elements whose content is not HTML (interpolations inside them are rejected)
+const RAW_TEXT_ELEMENTS = ['script', 'style'];
+
+// Parsed templates, keyed by the template's strings array (one per call site)
+const templateCache = new WeakMap();
+
+/**
+ * HTML that is inserted into templates as-is
+ * Created by html`` and unsafeHTML(); converts to its markup with String().
+ */
+export class SafeHTML {
+  /**
+   * @param {string} value - Markup
+   */
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Build HTML from a template, escaping every interpolated value
+ *
+ * Values are escaped for where they appear:
+ * - Text: HTML-escaped. Nested html`` templates and unsafeHTML() are inserted as-is;
+ *   arrays are rendered item by item; null, undefined and false render nothing.
+ * - Attribute values (quoted or not): escaped; arrays are joined with spaces.
+ *   In URL attributes (href, src, action, ...) URLs with a scheme other than
+ *   http, https, mailto or tel, such as javascript:, are replaced by an inert URL.
+ * - Inside a tag (`<button ${attrs}>`): only attribute names, e.g. 'disabled', or
+ *   nested html`` templates.
+ * - Tag names (`<${tag}>`): only valid tag names.
+ * Interpolating into event handler attributes (onclick, ...) or <script>/<style>
+ * throws; use the component events map or unsafeHTML() instead.
+ *
+ * @example
+ * html`<a href="${user.website}" title="${user.name}">${user.name}</a>`
+ * html`<ul>${items.map(item => html`<li>${item.text}</li>`)}</ul>`
+ *
+ * @param {Array<string>} strings - Template strings
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHTML} The markup
+ */
+export function html(strings, ...values) {
+  const slots = getTemplateSlots(strings);
+  let output = strings[0];
+  let attributeValue = '';
+
+  values.forEach((value, index) => {
+    const slot = slots[index];
+
+    if (slot.type === 'attribute') {
+      // The URL check needs the whole attribute value before this slot
+      attributeValue = (slot.valueStart ? '' : attributeValue) + slot.valuePrefix;
+      output += renderSlot(slot, value, attributeValue);
+      attributeValue += stringifyAttributeValue(value);
+    } else {
+      output += renderSlot(slot, value);
+    }
+
+    output += strings[index + 1];
+  });
+
+  return new SafeHTML(output);
+}
+
+/**
+ * Mark a string as trusted HTML, so html`` inserts it without escaping
+ * Only use it for markup that cannot contain user input.
+ * @param {*} value - Markup
+ * @returns {SafeHTML}
+ */
+export function unsafeHTML(value) {
+  return value instanceof SafeHTML ? value : new SafeHTML(value === null || value === undefined ? '' : String(value));
+}
+
+/**
+ * Alias of unsafeHTML()
+ */
+export const raw = unsafeHTML;
+
+/**
+ * Check whether a URL is safe to put in a URL attribute
+ * @param {string} url - URL, absolute or relative
+ * @returns {boolean} False for schemes such as javascript: and data:
+ */
+export function isSafeURL(url) {
+  // Browsers ignore control characters and whitespace when reading the scheme
+  const normalized = String(url).replace(/[\u0000- \u007f]/g, '').toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+
+  return !scheme || SAFE_URL_PROTOCOLS.includes(scheme[1]);
+}
+
+/**
+ * Find the context of every interpolation of a template
+ * @param {Array<string>} strings - Template strings
+ * @returns {Array<Object>} One slot per interpolation
+ *   { type: 'text'|'comment'|'raw-text'|'tag-name'|'tag'|'attribute', attributeName, quoted,
+ *     valueStart, valuePrefix }
+ */
+function getTemplateSlots(strings) {
+  let slots = templateCache.get(strings);
+
+  if (!slots) {
+    const state = { mode: 'text', tagName: '', closing: false, attributeName: '', nameDone: true, quote: '', value: '', valueSlots: 0 };
+    slots = [];
+
+    for (let i = 0; i < strings.length - 1; i++) {
+      scanHTML(state, strings[i]);
+      slots.push(createSlot(state));
+    }
+
+    templateCache.set(strings, slots);
+  }
+
+  return slots;
+}
+
+/**
+ * Describe the interpolation at the current scanner position and advance the scanner past it
+ * @param {Object} state - Scanner state
+ * @returns {Object} Slot
+ */
+function createSlot(state) {
+  switch (state.mode) {
+    case 'tag-open':
+      // Stands in for the interpolated name, so the tag continues after it
+      state.tagName += '*';
+      return { type: 'tag-name' };
+
+    case 'tag':
+      state.nameDone = true;
+      return { type: 'tag' };
+
+    case 'before-value':
+    case 'value': {
+      const slot = {
+        type: 'attribute',
+        attributeName: state.attributeName.toLowerCase(),
+        quoted: state.mode === 'value' && state.quote !== '',
+        valueStart: state.valueSlots === 0,
+        valuePrefix: state.value
+      };
+
+      // An unquoted value that starts with the interpolation continues after it
+      if (state.mode === 'before-value') {
+        state.mode = 'value';
+        state.quote = '';
+      }
+      state.valueSlots++;
+      state.value = '';
+      return slot;
+    }
+
+    default:
+      return { type: state.mode };
+  }
+}
+
+/**
+ * Advance the scanner over a static part of a template
+ * This is a small subset of the HTML tokenizer: enough to tell text, tags,
+ * attribute values, comments and raw text elements apart.
+ * @param {Object} state - Scanner state, updated in place
+ * @param {string} chunk - Static template part
+ */
+function scanHTML(state, chunk) {
+  for (let i = 0; i < chunk.length; i++) {
+    const char = chunk[i];
+
+    switch (state.mode) {
+      case 'text':
+        if (char === '<') {
+          state.mode = 'tag-open';
+          state.tagName = '';
+          state.closing = false;
+        }
+        break;
+
+      case 'tag-open':
+        if (state.tagName === '' && char === '/' && !state.closing) {
+          state.closing = true;
+        } else if (state.tagName === '' && chunk.startsWith('!--', i)) {
+          state.mode = 'comment';
+          i += 2;
+        } else if (/[a-zA-Z0-9-]/.test(char) && (state.tagName !== '' || /[a-zA-Z]/.test(char))) {
+          state.tagName += char;
+        } else if (state.tagName === '') {
+          // A "<" that does not open a tag is text
+          state.mode = 'text';
+          i--;
+        } else {
+          state.mode = 'tag';
+          state.nameDone = true;
+          i--;
+        }
+        break;
+
+      case 'tag':
+        if (char === '>') {
+          endTag(state);
+        } else if (char === '=') {
+          state.mode = 'before-value';
+          state.value = '';
+          state.valueSlots = 0;
+        } else if (/\s|\//.test(char)) {
+          state.nameDone = true;
+        } else if (state.nameDone) {
+          state.attributeName = char;
+          state.nameDone = false;
+        } else {
+          state.attributeName += char;
+        }
+        break;
+
+      case 'before-value':
+        if (char === '"' || char === "'") {
+          state.mode = 'value';
+          state.quote = char;
+        } else if (char === '>') {
+          endTag(state);
+        } else if (!/\s/.test(char)) {
+          state.mode = 'value';
+          state.quote = '';
+          i--;
+        }
+        break;
+
+      case 'value':
+        if (state.quote ? char === state.quote : /\s/.test(char)) {
+          state.mode = 'tag';
+          state.nameDone = true;
+        } else if (!state.quote && char === '>') {
+          endTag(state);
+        } else {
+          state.value += char;
+        }
+        break;
+
+      case 'comment':
+        if (chunk.startsWith('-->', i)) {
+          state.mode = 'text';
+          i += 2;
+        }
+        break;
+
+      case 'raw-text':
+        if (chunk.slice(i, i + state.tagName.length + 2).toLowerCase() === `</${state.tagName}`) {
+          state.mode = 'tag';
+          state.closing = true;
+          i += state.tagName.length + 1;
+        }
+        break;
+    }
+  }
+}
+
+/**
+ * Leave a tag; opening <script> and <style> tags start raw text
+ * @param {Object} state - Scanner state
+ */
+function endTag(state) {
+  state.tagName = state.tagName.toLowerCase();
+  state.mode = !state.closing && RAW_TEXT_ELEMENTS.includes(state.tagName) ? 'raw-text' : 'text';
+}
+
+/**
+ * Render an interpolated value for its slot
+ * @param {Object} slot - Slot from getTemplateSlots
+ * @param {*} value - Interpolated value
+ * @param {string} attributeValue - Attribute value up to this slot (attribute slots)
+ * @returns {string} Markup
+ * @throws {Error} If the value is not allowed where it appears
+ */
+function renderSlot(slot, value, attributeValue) {
+  if (value instanceof SafeHTML) {
+    return value.value;
+  }
+
+  switch (slot.type) {
+    case 'text':
+    case 'comment':
+      return renderText(value);
+
+    case 'attribute':
+      return renderAttributeValue(slot, value, attributeValue);
+
+    case 'tag': {
+      const names = stringifyAttributeValue(value);
+      if (!/^[\s\w:.-]*$/.test(names) || /(^|\s)on/i.test(names)) {
+        throw new Error(`html: "${names}" is not a list of attribute names`);
+      }
+      return names;
+    }
+
+    case 'tag-name': {
+      const tagName = String(value);
+      if (!/^[a-zA-Z][a-zA-Z0-9-]*$/.test(tagName)) {
+        throw new Error(`html: "${tagName}" is not a valid tag name`);
+      }
+      return tagName;
+    }
+
+    default:
+      throw new Error('html: values inside <script> and <style> must be wrapped in unsafeHTML()');
+  }
+}
+
+/**
+ * Render a value in text content
+ * @param {*} value - Value
+ * @returns {string} Markup
+ */
+function renderText(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+
+  if (value instanceof SafeHTML) {
+    return value.value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(renderText).join('');
+  }
+
+  return escapeHTML(value);
+}
+
+/**
+ * Render a value in an attribute value
+ * @param {Object} slot - Attribute slot
+ * @param {*} value - Value
+ * @param {string} attributeValue - Attribute value up to this slot
+ * @returns {string} Escaped value
+ * @throws {Error} For event handler attributes
+ */
+function renderAttributeValue(slot, value, attributeValue) {
+  if (/^on/.test(slot.attributeName)) {
+    throw new Error(`html: values cannot be interpolated into event handler attribute "${slot.attributeName}"`);
+  }
+
+  let text = stringifyAttributeValue(value);
+
+  // The scheme can only come from the value while no / ? # or : precedes it
+  if (URL_ATTRIBUTES.includes(slot.attributeName) && !/[/?#:]/.test(attributeValue) &&
+      !isSafeURL(attributeValue + text)) {
+    console.warn(`html: blocked unsafe URL in "${slot.attributeName}":`, attributeValue + text);
+    text = UNSAFE_URL;
+  }
+
+  const escaped = escapeHTML(text);
+
+  // Unquoted values end at whitespace, so encode characters that would end them
+  return slot.quoted ? escaped : escaped.replace(/[\s=`]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Turn a value into the text it contributes to an attribute
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function stringifyAttributeValue(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+
+  if (value instanceof SafeHTML) {
+    return value.value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(stringifyAttributeValue).filter(Boolean).join(' ');
+  }
+
+  return String(value);
+}
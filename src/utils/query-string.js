@@ -0,0 +1,51 @@
+/**
+ * Query String Utilities - Parse and build URL query strings
+ */
+
+/**
+ * Parse a query string into an object
+ * Repeated keys are collected into arrays.
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object} Query object (e.g. { lang: 'en', tag: ['a', 'b'] })
+ */
+export function parseQuery(search = '') {
+  const query = {};
+  const params = new URLSearchParams(String(search).replace(/^\?/, ''));
+
+  for (const [key, value] of params) {
+    if (!Object.prototype.hasOwnProperty.call(query, key)) {
+      query[key] = value;
+    } else if (Array.isArray(query[key])) {
+      query[key].push(value);
+    } else {
+      query[key] = [query[key], value];
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Build a query string from an object
+ * null and undefined values are skipped; arrays produce repeated keys.
+ * @param {Object} query - Query object
+ * @returns {string} Query string including the leading "?", or '' when empty
+ */
+export function stringifyQuery(query = {}) {
+  const params = new URLSearchParams();
+
+  for (const [key, value] of Object.entries(query)) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach(item => params.append(key, item));
+    } else {
+      params.append(key, value);
+    }
+  }
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
@@ -4,12 +4,17 @@ import { SEO_CONFIG } from '../config/constants.js';
  * SEO Manager - Handles dynamic meta tags and structured data for better SEO
  */
 export class SEOManager {
-  constructor() {
+  /**
+   * @param {Object} options - { baseUrl }: absolute URL of the app root, including
+   *   its base path (defaults to window.location.origin)
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || window.location.origin;
     this.defaultConfig = {
       title: SEO_CONFIG.DEFAULT_TITLE,
       description: SEO_CONFIG.DEFAULT_DESCRIPTION,
       image: SEO_CONFIG.DEFAULT_OG_IMAGE,
-      url: window.location.origin,
+      url: this.baseUrl,
       siteName: SEO_CONFIG.SITE_NAME,
       author: SEO_CONFIG.DEFAULT_AUTHOR,
       twitterHandle: SEO_CONFIG.DEFAULT_TWITTER_HANDLE,
@@ -19,13 +24,23 @@ export class SEOManager {
     this.origin = window.location.origin;
   }
 
+  /**
+   * Override default SEO values (e.g. siteName, image, twitterHandle)
+   * Pages' seoConfig values still take precedence over the defaults.
+   * @param {Object} defaults - SEO configuration values
+   */
+  setDefaults(defaults = {}) {
+    this.defaultConfig = { ...this.defaultConfig, ...defaults };
+  }
+
   /**
    * Update page meta tags dynamically
-   * @param {Object} config - SEO configuration for the current page
+   * @param {Object} config - SEO configuration for the current page; config.url is
+   *   the canonical URL (defaults to the current location without query string)
    */
   updateMetaTags(config = {}) {
     const seoConfig = { ...this.defaultConfig, ...config };
-    const currentUrl = `${this.origin}${window.location.pathname}`;
+    const currentUrl = config.url || `${this.origin}${window.location.pathname}`;
 
     // Update title
     document.title = seoConfig.title;
@@ -48,14 +63,14 @@ export class SEOManager {
     this.setMetaTag('og:title', seoConfig.title, 'property');
     this.setMetaTag('og:description', seoConfig.description, 'property');
     this.setMetaTag('og:url', currentUrl, 'property');
-    this.setMetaTag('og:image', `${this.origin}${seoConfig.image}`, 'property');
+    this.setMetaTag('og:image', `${this.baseUrl}${seoConfig.image}`, 'property');
     this.setMetaTag('og:site_name', seoConfig.siteName, 'property');
 
     // Twitter Card tags
     this.setMetaTag('twitter:card', 'summary_large_image', 'name');
     this.setMetaTag('twitter:title', seoConfig.title, 'name');
     this.setMetaTag('twitter:description', seoConfig.description, 'name');
-    this.setMetaTag('twitter:image', `${this.origin}${seoConfig.image}`, 'name');
+    this.setMetaTag('twitter:image', `${this.baseUrl}${seoConfig.image}`, 'name');
 
     if (seoConfig.twitterHandle) {
       this.setMetaTag('twitter:creator', seoConfig.twitterHandle, 'name');
@@ -99,27 +114,45 @@ export class SEOManager {
 
   /**
    * Add JSON-LD structured data
+   * Each id has its own script tag, so e.g. breadcrumbs do not replace the WebPage schema.
    * @param {Object} data - Structured data object
+   * @param {string} id - Identifies the script tag replaced by later calls
    */
-  addStructuredData(data) {
+  addStructuredData(data, id = 'default') {
     // Remove existing structured data script if present
-    const existingScript = document.querySelector('script[type="application/ld+json"]');
-    if (existingScript) {
-      existingScript.remove();
-    }
+    this.removeStructuredData(id);
 
     // Create new structured data script
     const script = document.createElement('script');
     script.type = 'application/ld+json';
+    script.dataset.schema = id;
     script.textContent = JSON.stringify(data);
     document.head.appendChild(script);
   }
 
+  /**
+   * Remove JSON-LD structured data added with addStructuredData
+   * @param {string} id - Id the data was added with
+   */
+  removeStructuredData(id = 'default') {
+    const existingScript = document.querySelector(`script[type="application/ld+json"][data-schema="${id}"]`);
+    if (existingScript) {
+      existingScript.remove();
+    }
+  }
+
   /**
    * Generate breadcrumb structured data
-   * @param {Array} breadcrumbs - Array of {name, url} objects
+   * An empty trail removes the breadcrumb data of the previous page.
+   * @param {Array} breadcrumbs - Array of {name, url} objects; url is the path of
+   *   the page including the base path (e.g. '/settings' or '/my-app/#/settings')
    */
   generateBreadcrumbs(breadcrumbs) {
+    if (breadcrumbs.length === 0) {
+      this.removeStructuredData('breadcrumbs');
+      return;
+    }
+
     const breadcrumbList = {
       '@context': 'https://schema.org',
       '@type': 'BreadcrumbList',
@@ -127,11 +160,11 @@ export class SEOManager {
         '@type': 'ListItem',
         'position': index + 1,
         'name': crumb.name,
-        'item': `${window.location.origin}${crumb.url}`
+        'item': `${this.origin}${crumb.url}`
       }))
     };
 
-    this.addStructuredData(breadcrumbList);
+    this.addStructuredData(breadcrumbList, 'breadcrumbs');
   }
 
   /**
@@ -144,12 +177,12 @@ export class SEOManager {
       '@type': 'WebPage',
       'name': config.title || this.defaultConfig.title,
       'description': config.description || this.defaultConfig.description,
-      'url': `${window.location.origin}${window.location.pathname}`,
+      'url': config.url || `${window.location.origin}${window.location.pathname}`,
       'inLanguage': 'en-US',
       'isPartOf': {
         '@type': 'WebSite',
         'name': this.defaultConfig.siteName,
-        'url': window.location.origin
+        'url': this.baseUrl
       }
     };
 
@@ -161,7 +194,7 @@ export class SEOManager {
       schema.dateModified = config.dateModified;
     }
 
-    this.addStructuredData(schema);
+    this.addStructuredData(schema, 'webpage');
   }
 
   /**
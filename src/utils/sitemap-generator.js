@@ -76,11 +76,15 @@ export class SitemapGenerator {
   }
 
   /**
-   * Generate sitemap from routes
-   * @param {Array<string>} routes - Array of route paths
-   * @param {Object} priorityMap - Map of route priorities
+   * Generate sitemap from the named routes of a router
+   * Routes with params, guarded routes (including those under a guarded layout),
+   * noindex routes and the 404 page are skipped. Lazy route modules are loaded
+   * first, so their guards and SEO settings are known.
+   * @param {EnhancedRoutes} router - Router whose named routes are listed
+   * @param {Object} priorityMap - Map of route priorities, keyed by URL path
+   * @returns {Promise<string>} Sitemap XML string
    */
-  static generateFromRoutes(routes, priorityMap = {}) {
+  static async generateFromRoutes(router, priorityMap = {}) {
     const generator = new SitemapGenerator();
 
     // Default priorities for common pages
@@ -93,12 +97,19 @@ export class SitemapGenerator {
       'default': 0.5
     };
 
-    for (const route of routes) {
-      if (route === 'not-found' || route === '404') {
-        continue; // Skip error pages
+    await Promise.all(router.getNamedRoutes().map(({ pattern }) => {
+      return router.loadRouteModules(router.getRouteChain(pattern));
+    }));
+
+    // Read the routes again: loading a lazy module replaces its route config
+    for (const { name, pattern, isStatic, config } of router.getNamedRoutes()) {
+      const robots = (config.seoConfig && config.seoConfig.robots) || '';
+
+      if (name === 'not-found' || !isStatic || router.isGuarded(pattern) || robots.includes('noindex')) {
+        continue; // Skip error pages, dynamic and private routes
       }
 
-      const path = route === 'home' ? '/' : `/${route}`;
+      const path = router.url(name);
       const priority = priorityMap[path] || defaultPriorities[path] || defaultPriorities.default;
 
       generator.addUrl({